@@ -1,5 +1,6 @@
 'use strict';
 const assert = require('assert');
+const EventEmitter = require('events');
 const path = require('path');
 const denodeify = require('denodeify');
 const fs = require('fs');
@@ -11,118 +12,978 @@ const mkdirp = denodeify(require('mkdirp'));
 const rimraf = denodeify(require('rimraf'));
 const fsWriteFile = denodeify(fs.writeFile);
 const fsReadFile = denodeify(fs.readFile);
-const frontifyApi = require('@frontify/frontify-api');
-const html = require('html');
+const marked = require('marked');
+const globby = require('globby');
+const minimatch = require('minimatch');
+const chokidar = require('chokidar');
+const errors = require('./lib/errors');
+const manifest = require('./lib/manifest');
+const validationReport = require('./lib/validation-report');
+const patternDiff = require('./lib/pattern-diff');
+const preview = require('./lib/preview');
+const syncTargets = require('./lib/sync-targets');
+const batchSync = require('./lib/batch-sync');
+const reporters = require('./lib/reporters');
+const thumbnails = require('./lib/thumbnails');
+const htmlPipeline = require('./lib/html-pipeline');
+const assetPipeline = require('./lib/asset-pipeline');
+const git = require('./lib/git');
+
+// The folder inside the targetDir which contains the preview pages
+const PREVIEW_FOLDER = '_preview';
+// The folder inside the targetDir which contains the fingerprinted assets
+const ASSET_FOLDER = '_assets';
+// The folder inside the targetDir which contains the pattern.json files of deprecated components
+const PRUNE_FOLDER = '_pruned';
+// The actions for published components which no longer exist
+const PRUNE_ACTIONS = {
+	deprecate: 'deprecated',
+	delete: 'deleted',
+};
+// Frontify ignores the stability of a pattern - deprecated patterns are marked by their name and description
+const DEPRECATED_NAME_PREFIX = '[Deprecated] ';
+const DEPRECATED_DESCRIPTION = 'This component was removed from the component library and is no longer maintained.';
+// Schema properties which are used by the deployer but not transmitted to frontify
+const DEPLOYER_PROPERTIES = ['variationAssets', 'examples', 'htmlOutput'];
+// The asset types which can be added to every variation
+const VARIATION_ASSET_TYPES = ['css', 'js'];
+// The options which change the build output - a changed value rebuilds all components in incremental mode
+const BUILD_OPTIONS = ['assetFolder', 'defaultType', 'documentationFile', 'documentationTarget', 'exampleData',
+	'examples', 'fingerprintAssets', 'htmlOutput', 'mapping', 'schema', 'thumbnails', 'transferProperties',
+	'variationAssets'];
+// Where the rendered component documentation is added to the pattern
+const DOCUMENTATION_TARGETS = ['description', 'asset'];
+
+/**
+ * Extracts the default values of a pattern.json properties schema
+ * e.g. { title: { type: 'string', default: 'Hello' } } -> { title: 'Hello' }
+ * @param {Object} properties The json schema properties
+ * @returns {Object} default data
+ */
+function getSchemaDefaults(properties) {
+	return _.reduce(properties, (defaults, property, propertyName) => {
+		if (property.default !== undefined) {
+			defaults[propertyName] = _.cloneDeep(property.default);
+		} else if (property.properties) {
+			const nestedDefaults = getSchemaDefaults(property.properties);
+			if (!_.isEmpty(nestedDefaults)) {
+				defaults[propertyName] = nestedDefaults;
+			}
+		}
+		return defaults;
+	}, {});
+}
+
+/**
+ * Returns whether a mapping key is a path pattern e.g. 'organisms/forms/*'
+ * instead of a folder name e.g. 'atoms'
+ * @param {string} mappingKey The key of the mapping option
+ * @returns {boolean} path pattern
+ */
+function isPathPattern(mappingKey) {
+	return (/[/*?{}[\]!]/).test(mappingKey);
+}
+
+/**
+ * Returns whether a selected component is a glob pattern e.g. 'atoms/*'
+ * instead of a component id e.g. 'atoms/button'
+ * @param {string} component The component id or glob pattern
+ * @returns {boolean} glob pattern
+ */
+function isGlobPattern(component) {
+	return (/[*?{}[\]!]/).test(component);
+}
+
+/**
+ * Merges a project specific schema extension into the pattern.json schema
+ * Arrays like `required` or an `enum` are combined instead of replaced
+ * @param {Object} baseSchema The built-in pattern.json schema
+ * @param {Object} [extension] The json schema extension e.g. { properties: { owner: { type: 'string' } } }
+ * @returns {Object} schema
+ */
+function extendSchema(baseSchema, extension) {
+	return _.mergeWith(_.cloneDeep(baseSchema), extension, (baseValue, extensionValue) =>
+		(Array.isArray(baseValue) ? _.union(baseValue, extensionValue) : undefined));
+}
 
 /**
  * An instance of the nitro frontify deployer searches through the given
  * directory, parses the pattern.json files, compiles all examples and
  * transmits the result to frontify
+ *
+ * Emits the progress events `component:validated`, `example:compiled`, `component:built`,
+ * `pattern:synced`, `asset:synced`, `deploy:done` and `error`
  */
-class NitroFrontifyDeployer {
+class NitroFrontifyDeployer extends EventEmitter {
 	/**
 	 * @param {Object} config Base config
 	 */
 	constructor(config) {
+		super();
 		assert(config.rootDirectory && fs.existsSync(config.rootDirectory),
 			'Please specify your component rootDirectory folder e.g. { rootDirectory: "/a/path"}');
 		assert(config.targetDir,
 			'Please specify your component targetDir folder e.g. { targetDir: "/a/path"}');
-		assert(typeof config.mapping === 'object',
+		assert(typeof config.mapping === 'object' || typeof config.mapping === 'function',
 			'Please specifiy the foldername component type mapping e.g. { mapping: {"atoms": "atom" } }');
-		assert(typeof config.compiler === 'function',
-			'Please specify a compiler function to compile the example templates');
+		assert(typeof config.compiler === 'function' ||
+			(_.isPlainObject(config.compiler) && _.every(config.compiler, (compiler) => typeof compiler === 'function')),
+			'Please specify a compiler function or compiler functions by file extension to compile the example templates ' +
+			'e.g. { compiler: { ".hbs": compileHandlebars, ".twig": compileTwig } }');
 
 		this.nitroComponentResolver = config.nitroComponentResolver || new NitroComponentResolver({
 			rootDirectory: config.rootDirectory,
 			examples: true,
-			watch: false,
+			watch: config.watch === true,
 		});
 		this.options = {};
+		// Whether the component resolver updates its cache on file changes
+		// (a custom resolver is configured by its creator and never replaced)
+		this.options.watch = config.watch === true || Boolean(config.nitroComponentResolver);
 		// The temporary directory where the html files should be build into
 		this.options.targetDir = config.targetDir;
 		// The source directory where the components are read from
 		this.options.rootDirectory = config.rootDirectory;
 		// Mapping between component folder name e.g. 'atoms' and component type e.g. 'atom'
+		// Also accepts path patterns e.g. { 'organisms/forms/*': 'organism' } or a function(componentId, component)
 		this.options.mapping = config.mapping;
-		// The template compiler
-		this.options.compiler = config.compiler;
+		// The type of components which are not in the mapping
+		this.options.defaultType = config.defaultType;
+		// The template compiler - a function for all templates or functions by file extension e.g. { '.hbs': compile }
+		// Compilers receive the template source, path and context and return (a promise of) html or a template function
+		this.options.compiler = typeof config.compiler === 'function'
+			? config.compiler
+			: _.mapKeys(config.compiler, (compiler, extension) => (extension[0] === '.' ? extension : `.${extension}`));
 		// Additional assets (javascript css images fonts)
 		this.options.assetFolder = config.assetFolder || '';
 		this.options.assetFilter = config.assetFilter || ['**/*.*'];
+		// Stylesheets and scripts relative to the assetFolder which are added to every variation
+		// e.g. { css: ['library.css'], js: ['library.js'] }
+		this.options.variationAssets = config.variationAssets || {};
+		// Copy the assets into the targetDir with a content hash in their file names e.g. { hashLength: 8 }
+		// and rewrite the references inside the compiled examples and the generated pattern.json files
+		this.options.fingerprintAssets = config.fingerprintAssets
+			? _.defaults({}, config.fingerprintAssets, { hashLength: 8 })
+			: false;
 		// Optional name transform
 		this.options.componentNameProcessor = config.componentNameProcessor || function (name) {
 			return name;
 		};
+		// Which examples become variations - 'main' (default), 'all'
+		// or glob patterns relative to the component folder e.g. ['_example/*.hbs']
+		// Examples can also be included or excluded in the pattern.json
+		this.options.examples = config.examples || 'main';
+		assert(this.options.examples === 'main' || this.options.examples === 'all' || Array.isArray(this.options.examples),
+			'Please specify "main", "all" or an array of glob patterns as examples option e.g. { examples: "all" }');
+		// Post-processing of the compiled examples e.g. { format: false, stripAttributes: ['data-t-name'] }
+		// Components can override the options in their pattern.json
+		this.options.htmlOutput = config.htmlOutput || {};
+		// Optional png thumbnail of every variation e.g. { renderer: 'puppeteer', width: 1024, height: 768 }
+		this.options.thumbnails = config.thumbnails
+			? _.defaults({}, config.thumbnails, { width: 1024, height: 768 })
+			: false;
+		assert(!this.options.thumbnails || this.options.thumbnails.renderer,
+			'Please specify a thumbnail renderer e.g. { thumbnails: { renderer: "puppeteer" } }');
+		this.thumbnailRenderer = this.options.thumbnails
+			? thumbnails.createThumbnailRenderer(this.options.thumbnails.renderer)
+			: null;
+		// Markdown file inside every component folder which documents the component e.g. 'readme.md' - disabled by default
+		this.options.documentationFile = config.documentationFile || false;
+		// Add the rendered documentation as pattern 'description' or as html pattern 'asset'
+		this.options.documentationTarget = config.documentationTarget || 'description';
+		assert(DOCUMENTATION_TARGETS.indexOf(this.options.documentationTarget) !== -1,
+			'Please specify either "description" or "asset" as documentationTarget e.g. { documentationTarget: "asset" }');
+		// Additional data which is passed to every example template e.g. { theme: 'brand-a' }
+		this.options.exampleData = config.exampleData || {};
+		// Optional transform of the data which is passed to every example template
+		this.options.exampleDataProcessor = config.exampleDataProcessor || function (data) {
+			return data;
+		};
 		// Options to deploy the result to frontify
 		// see https://www.npmjs.com/package/@frontify/frontify-api#advanced-usage
 		this.options.frontifyOptions = config.frontifyOptions || {};
+		// Only report what would be synced instead of calling frontify
+		this.options.dryRun = config.dryRun === true;
+		// Only rebuild and sync components which changed since the last run
+		this.options.incremental = config.incremental === true;
+		// Deprecate or delete published components which no longer exist
+		this.options.prune = config.prune || false;
+		assert(this.options.prune === false || PRUNE_ACTIONS[this.options.prune],
+			'Please specify either "deprecate" or "delete" as prune option e.g. { prune: "deprecate" }');
+		// Remembers all published components to detect removed ones
+		// It is only written if the prune or the publishedManifest option is set
+		// The default file name contains the targetDir name to keep deployers with sibling targetDirs apart
+		// e.g. dist/brand-a -> dist/frontify-deployer-published-brand-a.json
+		this.options.publishedManifest = config.publishedManifest || path.join(path.dirname(path.resolve(config.targetDir)),
+			`frontify-deployer-published-${path.basename(path.resolve(config.targetDir))}.json`);
+		// Glob patterns of the component ids e.g. ['atoms/*'] which are deployed - all by default
+		this.options.include = config.include ? [].concat(config.include) : undefined;
+		this.options.exclude = [].concat(config.exclude || []);
+		// The component ids or glob patterns of a selective deploy e.g. ['atoms/button']
+		this.options.components = config.components ? [].concat(config.components) : undefined;
+		// The stabilities which are deployed e.g. ['stable', 'frozen'] or ['!experimental'] - all by default
+		this.options.stability = [].concat(config.stability || []);
+		// Only deploy the components which changed since the given git ref e.g. 'origin/master'
+		this.options.since = config.since;
 		if (!this.options.frontifyOptions.access_token && process.env.FRONTIFY_ACCESS_TOKEN) {
 			this.options.frontifyOptions.access_token = process.env.FRONTIFY_ACCESS_TOKEN;
 		}
+		// The destination of the build result - frontify by default
+		this.syncTarget = syncTargets.createSyncTarget(config.syncTarget, this.options.frontifyOptions);
+		// Splits the sync into batches of `batchSize` files (0 syncs all files at once)
+		// and retries failed batches with an exponential backoff
+		this.options.syncOptions = _.defaults({}, config.syncOptions, {
+			batchSize: 0,
+			concurrency: 4,
+			retries: 0,
+			retryDelay: 1000,
+			maxRetryDelay: 30000,
+		});
+		assert(Number.isInteger(this.options.syncOptions.concurrency) && this.options.syncOptions.concurrency > 0,
+			'Please specify a positive integer as sync concurrency e.g. { syncOptions: { concurrency: 4 } }');
+		// Limits the parallel batches of the pattern and asset sync
+		this.syncLimiter = batchSync.createLimiter(this.options.syncOptions.concurrency);
+		// Validates and builds at most `concurrency` components at the same time
+		// continueOnError skips invalid and failing components instead of stopping the build
+		this.options.buildOptions = _.defaults({}, config.buildOptions, {
+			concurrency: 8,
+			continueOnError: false,
+		});
+		assert(Number.isInteger(this.options.buildOptions.concurrency) && this.options.buildOptions.concurrency > 0,
+			'Please specify a positive integer as build concurrency e.g. { buildOptions: { concurrency: 8 } }');
+		this.buildLimiter = batchSync.createLimiter(this.options.buildOptions.concurrency);
+
+		// The pattern.json schema including the project specific extension
+		this.options.schema = extendSchema(schema, config.schemaExtension);
+		// The pattern.json properties which are transmitted - all schema properties by default
+		this.options.transferProperties = config.transferProperties ||
+			_.difference(Object.keys(this.options.schema.properties), DEPLOYER_PROPERTIES);
 
 		this.patternValidator = config.nitroComponentValidator || new NitroComponentValidator();
-		this.patternValidator.addSchema(schema, 'frontify-deployer-schema');
+		this.patternValidator.addSchema(this.options.schema, 'frontify-deployer-schema');
+		// Optional progress output - either 'console', 'json' or a function which subscribes to the events
+		if (config.reporter) {
+			reporters.createReporter(config.reporter)(this);
+		}
+		// The name of a deploy target
+		this.options.name = config.name;
+		// Deploy the component tree to several projects e.g. one per brand
+		this.targets = (config.targets || []).map((targetConfig) => this._createTarget(config, targetConfig));
+		// The config to create the deployer of a selective deploy
+		this.config = config;
+	}
+
+	/**
+	 * Creates the deployer of a deploy target
+	 * The target config overrides the base config e.g. { name: 'brand-a', frontifyOptions: { project: 12345 } }
+	 * @param {Object} config The base config
+	 * @param {Object} targetConfig The config of the target
+	 * @returns {NitroFrontifyDeployer} target deployer
+	 */
+	_createTarget(config, targetConfig) {
+		assert(targetConfig.name, 'Please specify a name for every deploy target e.g. { targets: [{ name: "brand-a" }] }');
+		// Without prune option only an explicitly configured published manifest is kept per target
+		const publishedManifest = config.publishedManifest || config.prune || targetConfig.prune
+			? this.options.publishedManifest.replace(/(\.json)?$/, `-${targetConfig.name}$1`)
+			: undefined;
+		const target = new NitroFrontifyDeployer(_.extend({}, _.omit(config, ['targets', 'reporter']), {
+			// Share the resolver to scan the component tree only once
+			nitroComponentResolver: this.nitroComponentResolver,
+			targetDir: path.join(config.targetDir, targetConfig.name),
+			publishedManifest,
+		}, targetConfig, {
+			frontifyOptions: _.extend({}, this.options.frontifyOptions, targetConfig.frontifyOptions),
+		}));
+		this._forwardEvents(target, { target: targetConfig.name });
+		return target;
+	}
+
+	/**
+	 * Creates the deployer of a selective deploy which only validates, builds and syncs the given components
+	 * @param {Array<string>} components The component ids or glob patterns e.g. ['atoms/button']
+	 * @returns {NitroFrontifyDeployer} selection deployer
+	 */
+	_createSelection(components) {
+		const selection = new NitroFrontifyDeployer(_.extend({}, _.omit(this.config, ['reporter', 'since']), {
+			// Share the resolver to scan the component tree only once
+			nitroComponentResolver: this.nitroComponentResolver,
+			components,
+		}));
+		this._forwardEvents(selection, {});
+		return selection;
+	}
+
+	/**
+	 * Forwards the progress events of a target or selection deployer e.g. to the reporter
+	 * @param {NitroFrontifyDeployer} deployer The target or selection deployer
+	 * @param {Object} eventData Additional event data e.g. { target: 'brand-a' }
+	 * @returns {undefined}
+	 */
+	_forwardEvents(deployer, eventData) {
+		reporters.EVENTS.forEach((eventName) => deployer.on(eventName, (event) => {
+			if (eventName === 'error') {
+				this._emitError(event);
+			} else {
+				this.emit(eventName, _.extend({}, eventData, event));
+			}
+		}));
+	}
+
+	/**
+	 * Returns the selected components of a deploy - either the components of the deploy options
+	 * or the components which changed since the git ref of the since option
+	 * @param {Object} [deployOptions] Deploy options
+	 * @returns {Promise<Array|undefined>} component ids or glob patterns - undefined if all components are deployed
+	 */
+	_getSelection(deployOptions) {
+		if (deployOptions && deployOptions.components) {
+			return this._assertSelection(deployOptions.components).then(() => deployOptions.components);
+		}
+		if (this.options.since) {
+			return this._getChangedComponentIds(this.options.since);
+		}
+		return Promise.resolve(undefined);
+	}
+
+	/**
+	 * Asks git which files changed since the given ref and returns the affected components:
+	 * every component which contains a changed file (e.g. its pattern.json, example templates or data files)
+	 * or uses a changed variation asset - a changed global variation asset affects all components
+	 * @param {string} ref The git ref e.g. 'origin/master' or 'HEAD~1'
+	 * @returns {Promise<Array<string>>} component ids
+	 */
+	_getChangedComponentIds(ref) {
+		return Promise.all([
+			git.getChangedFiles(this.options.rootDirectory, ref),
+			this._getComponents(),
+		]).then((results) => {
+			// git reports the resolved paths e.g. without symlinks
+			const realPath = (file) => (fs.existsSync(file) ? fs.realpathSync(file) : path.resolve(file));
+			const changedFiles = results[0];
+			const components = _.values(results[1]);
+			const directories = components.map((component) => realPath(component.directory));
+			const resolveAssets = (variationAssets) => _.flatten(VARIATION_ASSET_TYPES
+				.map((assetType) => (variationAssets || {})[assetType] || []))
+				.map((file) => realPath(path.resolve(this.options.assetFolder, file)));
+			const isChanged = (file) => changedFiles.indexOf(file) !== -1;
+			if (resolveAssets(this.options.variationAssets).some(isChanged)) {
+				return components.map((component) => this._getComponentId(component)).sort();
+			}
+			// A file belongs to the closest component e.g. to a nested component instead of its parent
+			const changedDirectories = _.compact(changedFiles.map((file) => _.maxBy(directories
+				.filter((directory) => file.indexOf(directory + path.sep) === 0), 'length')));
+			return components
+				.filter((component, i) => changedDirectories.indexOf(directories[i]) !== -1 ||
+					resolveAssets(component.data.variationAssets).some(isChanged))
+				.map((component) => this._getComponentId(component))
+				.sort();
+		});
+	}
+
+	/**
+	 * Verifies that every selected component id exists and matches the include, exclude and stability options
+	 * @param {Array<string>} components The component ids or glob patterns e.g. ['atoms/button']
+	 * @returns {Promise} rejects with a ValidationError for unknown components
+	 */
+	_assertSelection(components) {
+		return this._getComponents().then((foundComponents) => {
+			const componentIds = _.values(foundComponents).map((component) => this._getComponentId(component));
+			const unknown = components.filter((componentId) =>
+				!isGlobPattern(componentId) && componentIds.indexOf(componentId) === -1);
+			if (unknown.length) {
+				throw new errors.ValidationError(`Unknown component "${unknown.join('", "')}" - it does not exist ` +
+					'or is excluded by the include, exclude or stability option');
+			}
+		});
+	}
+
+	/**
+	 * Runs the task for every deploy target one after another
+	 * Failing targets stop the deploy and their errors are annotated with the target name
+	 * @param {Function} task Receives the target deployer and returns a promise
+	 * @returns {Promise<Array>} the task results
+	 */
+	_runTargets(task) {
+		return this.targets.reduce((previous, target) => previous
+			.then((results) => task(target)
+				.then((result) => results.concat([result]))
+				.catch((error) => {
+					error.target = target.options.name;
+					throw error;
+				})), Promise.resolve([]));
 	}
 
 	/**
 	 * Validates all found components
 	 *
 	 * Returns true if all components are valid
+	 * Throws a ValidationReportError listing all problems otherwise
 	 * @returns {boolean} success
 	 *
 	 */
 	validateComponents() {
-		return this.nitroComponentResolver
-			.getComponents()
+		if (this.targets.length) {
+			return this._runTargets((target) => target.validateComponents()).then(() => true);
+		}
+		return this.getValidationReport()
+			.then((report) => {
+				if (!report.valid) {
+					throw new errors.ValidationReportError(report);
+				}
+				return true;
+			});
+	}
+
+	/**
+	 * Validates all found components and collects every problem
+	 * (schema violations, unmapped type folders, missing examples, template errors)
+	 * @returns {Promise<Object>} validation report
+	 */
+	getValidationReport() {
+		if (this.targets.length) {
+			// Combine the reports and prefix the component ids with the target name e.g. 'brand-a:atoms/button'
+			return this._runTargets((target) => target.getValidationReport().then((report) => {
+				const prefix = `${target.options.name}:`;
+				return validationReport.createReport(
+					report.components.map((componentId) => prefix + componentId),
+					report.problems.map((problem) => _.extend({}, problem, { component: prefix + problem.component }))
+				);
+			})).then((reports) => validationReport.createReport(
+				_.flatten(reports.map((report) => report.components)),
+				_.flatten(reports.map((report) => report.problems))
+			));
+		}
+		return this._getValidationReport(true);
+	}
+
+	/**
+	 * Validates all found components of this deployer
+	 * @param {boolean} renderExamples Render every example to find template and example data errors
+	 *   the build reports these errors itself and therefore doesn't render the examples twice
+	 * @returns {Promise<Object>} validation report
+	 */
+	_getValidationReport(renderExamples) {
+		return this._getComponents()
 			.then((components) => {
-				if (Object.keys(components).length === 0) {
-					throw new Error('Component validation failed - no components found');
+				// A selective deploy may not contain any components e.g. if no component changed since the git ref
+				if (Object.keys(components).length === 0 && !this.options.components) {
+					throw new errors.ValidationError('Component validation failed - no components found');
 				}
-				return !_.values(components)
-					.some((component) => !this._validateComponent(component));
+				return Promise.all(_.values(components).map((component) =>
+					this.buildLimiter(() => this._validateComponent(component, renderExamples))))
+					.then((problems) => validationReport.createReport(
+						_.values(components).map((component) => this._getComponentId(component)),
+						_.flatten(problems)
+					));
 			});
 	}
 
 	/**
 	 * The main method which validates, builds and compiles the entire frontend to frontify
+	 * @param {Object} [deployOptions] Deploy options
+	 * @param {Array<string>} [deployOptions.components] Only deploy the given component ids or glob patterns
+	 *   e.g. ['atoms/button']
 	 * @returns {boolean} success
 	 */
-	deploy() {
-		return this.validateComponents()
-			.then(() => this.buildComponents())
-			.then(() => Promise.all([
-				this._syncAssets(),
-				this._syncComponents(),
-			]))
-			.then((syncResults) => (
+	deploy(deployOptions) {
+		if (this.options.dryRun) {
+			return this.dryRun(deployOptions);
+		}
+		if (this.targets.length) {
+			return this._runTargets((target) => target.deploy(deployOptions)
+				.then((result) => _.extend({ name: target.options.name }, result)))
+				.then((results) => ({ targets: results }));
+		}
+		if ((deployOptions && deployOptions.components) || this.options.since) {
+			return this._getSelection(deployOptions)
+				.then((components) => this._createSelection(components).deploy());
+		}
+		const start = Date.now();
+		let failed;
+		return this._buildValidComponents()
+			// Read the unchanged components before the sync updates the manifest
+			.then((buildResult) => {
+				failed = buildResult.failed;
+				return Promise.all([
+					this._getSyncState(),
+					this._getPruneState(),
+				]);
+			})
+			.then((states) => this._removeComponentOutput(this.options.prune ? states[1].removed : [])
+				// Sync all batches even if some of them fail to report every failed file
+				.then(() => Promise.all([
+					this._syncAssets().catch((syncError) => syncError),
+					this._syncComponents().catch((syncError) => syncError),
+				]))
+				.then((syncResults) => {
+					const syncErrors = syncResults.filter((syncResult) => syncResult instanceof Error);
+					if (syncErrors.length) {
+						// Combine the reports of the failed asset and pattern batches
+						syncErrors.slice(1).forEach((syncError) => _.extend(syncErrors[0].report, syncError.report));
+						throw syncErrors[0];
+					}
+					return syncResults;
+				})
+				.then((syncResults) => this._pruneComponents(states[1]).then((pruned) => (
+					{
+						assets: syncResults[0],
+						components: syncResults[1],
+						skipped: states[0].unchanged,
+						pruned,
+						failed,
+					}))))
+			.then((result) => {
+				this.emit('deploy:done', {
+					patterns: result.components.length,
+					assets: result.assets.length,
+					duration: Date.now() - start,
+				});
+				return result;
+			})
+			.catch((error) => {
+				this._emitError(error);
+				throw error;
+			});
+	}
+
+	/**
+	 * Emits the error event only if someone listens to it
+	 * as an unhandled error event would terminate the process
+	 * @param {Error} error The error
+	 * @returns {undefined}
+	 */
+	_emitError(error) {
+		if (this.listenerCount('error') > 0) {
+			this.emit('error', error);
+		}
+	}
+
+	/**
+	 * Validates and builds all components like `deploy()` but instead of
+	 * transmitting the result to frontify it returns a list of all
+	 * patterns and assets which would be synced
+	 * @param {Object} [deployOptions] Deploy options
+	 * @param {Array<string>} [deployOptions.components] Only the given component ids or glob patterns
+	 * @returns {Promise<Object>} the deploy plan
+	 */
+	dryRun(deployOptions) {
+		if (this.targets.length) {
+			return this._runTargets((target) => target.dryRun(deployOptions)
+				.then((result) => _.extend({ name: target.options.name }, result)))
+				.then((results) => ({ targets: results }));
+		}
+		if ((deployOptions && deployOptions.components) || this.options.since) {
+			return this._getSelection(deployOptions)
+				.then((components) => this._createSelection(components).dryRun());
+		}
+		return this._buildValidComponents()
+			.then((buildResult) => Promise.all([
+				this._getAssetPlan(),
+				this._getComponentPlan(),
+				this._getSyncState(),
+				this._getPruneState(),
+			]).then((plans) => (
 				{
-					assets: syncResults[0],
-					components: syncResults[1],
+					assets: plans[0],
+					components: plans[1],
+					skipped: plans[2].unchanged,
+					pruned: this._getPrunedComponents(plans[3]),
+					failed: buildResult.failed,
+				})));
+	}
+
+	/**
+	 * Compares the currently published patterns with freshly generated pattern data
+	 * and reports the added, removed and modified components and variations
+	 * The published patterns are read from the sync target or from the published manifest
+	 * if the sync target can't read them
+	 * @returns {Promise<Object>} diff
+	 */
+	diff() {
+		if (this.targets.length) {
+			return this._runTargets((target) => target.diff()
+				.then((result) => _.extend({ name: target.options.name }, result)))
+				.then((results) => ({ targets: results }));
+		}
+		return this._getLocalPatterns()
+			.then((localPatterns) => this._getPublishedPatterns(localPatterns)
+				.then((published) => {
+					const toComponentIds = (patterns) => _.mapKeys(patterns,
+						(pattern, patternFile) => patternFile.replace(/\/pattern\.json$/, ''));
+					return _.extend({ source: published.source }, patternDiff.createDiff(
+						toComponentIds(published.patterns),
+						toComponentIds(localPatterns),
+						published.fields
+					));
 				}));
 	}
 
+	/**
+	 * Generates the pattern data of all components without writing them into the targetDir
+	 * @returns {Promise<Object>} pattern data by pattern.json file name e.g. { 'atoms/button/pattern.json': {...} }
+	 */
+	_getLocalPatterns() {
+		return this._getComponents()
+			.then((components) => Promise.all(_.values(components).map((component) =>
+				this._generateComponentTransferData(component)
+					.then((transferData) => [`${this._getComponentId(component)}/pattern.json`, transferData])
+			)))
+			.then((patterns) => _.fromPairs(patterns));
+	}
+
+	/**
+	 * Reads the published patterns from the sync target
+	 * Falls back to the published manifest which only knows the name, type, stability and variation names
+	 * and completes the stability for sync targets which can't read it
+	 * @param {Object} localPatterns The local pattern data by pattern.json file name
+	 * @returns {Promise<Object>} { source, patterns, fields } the published pattern data by pattern.json file name
+	 */
+	_getPublishedPatterns(localPatterns) {
+		const published = typeof this.syncTarget.getPublishedPatterns === 'function'
+			? this.syncTarget.getPublishedPatterns(localPatterns)
+			: Promise.resolve(null);
+		return Promise.all([published, manifest.readManifestFile(this.options.publishedManifest)]).then((results) => {
+			const syncTargetPatterns = results[0];
+			const manifestPatterns = _.mapValues(_.mapKeys(results[1].components,
+				(entry, componentId) => `${componentId}/pattern.json`),
+				(entry) => _.extend(_.omit(entry, 'deprecated'), entry.deprecated ? { stability: 'deprecated' } : {}));
+			if (syncTargetPatterns) {
+				return _.extend({ source: 'syncTarget' },
+					this._mergeManifestStability(syncTargetPatterns, manifestPatterns, localPatterns));
+			}
+			return {
+				source: 'manifest',
+				patterns: manifestPatterns,
+				fields: {
+					pattern: ['name', 'type', 'stability'],
+					variation: ['name'],
+				},
+			};
+		});
+	}
+
+	/**
+	 * Adds the stability of the published manifest to sync targets which can't read the published stability
+	 * e.g. frontify to report stability downgrades
+	 * Patterns which are missing in the manifest keep the local stability as it is unknown
+	 * @param {Object} syncTargetPatterns The result of `syncTarget.getPublishedPatterns()`
+	 * @param {Object} manifestPatterns The published manifest data by pattern.json file name
+	 * @param {Object} localPatterns The local pattern data by pattern.json file name
+	 * @returns {Object} { patterns, fields } the published pattern data by pattern.json file name
+	 */
+	_mergeManifestStability(syncTargetPatterns, manifestPatterns, localPatterns) {
+		const fields = syncTargetPatterns.fields;
+		if (!fields || !fields.pattern || fields.pattern.indexOf('stability') !== -1 || _.isEmpty(manifestPatterns)) {
+			return syncTargetPatterns;
+		}
+		return {
+			patterns: _.mapValues(syncTargetPatterns.patterns, (pattern, patternFile) => {
+				const stability = manifestPatterns[patternFile]
+					? manifestPatterns[patternFile].stability
+					: (localPatterns[patternFile] || {}).stability;
+				return _.extend({}, pattern, { stability });
+			}),
+			fields: _.extend({}, fields, { pattern: fields.pattern.concat('stability') }),
+		};
+	}
+
 	/**
 	 * Remove recursivly all files from the target directory
+	 * including the incremental build manifest
 	 * @returns {Promise} promise of the finished cleanning
 	 */
 	clean() {
-		return rimraf(this.options.targetDir);
+		return this._runTargets((target) => target.clean())
+			.then(() => rimraf(this.options.targetDir));
+	}
+
+	/**
+	 * Generates a preview page for every variation and an overview page of all components
+	 * from the build output - for every deploy target if targets are configured
+	 * @returns {Promise<string|Object>} the preview directory
+	 *   or the directories of all targets e.g. { targets: [{ name: 'brand-a', previewDir }] }
+	 */
+	buildPreview() {
+		if (this.targets.length) {
+			return this._runTargets((target) => target.buildPreview()
+				.then((previewDir) => ({ name: target.options.name, previewDir })))
+				.then((results) => ({ targets: results }));
+		}
+		const previewDir = path.resolve(this.options.targetDir, PREVIEW_FOLDER);
+		// The order of the type sections on the overview page
+		const types = typeof this.options.mapping === 'object' ? _.values(this.options.mapping) : [];
+		return this._getPatternFiles()
+			.then((patternFiles) => this._readPatterns(patternFiles))
+			.then((patterns) => preview.writePreview(
+				this.options.targetDir,
+				previewDir,
+				patterns.map((pattern) => pattern.data),
+				_.uniq(_.compact(types.concat(this.options.defaultType)))
+			))
+			.then(() => previewDir);
+	}
+
+	/**
+	 * Generates the preview pages and serves them with a local http server
+	 * @param {Object} [previewOptions] Preview options
+	 * @param {number} [previewOptions.port] The server port (default: 4000)
+	 *   deploy targets are served on consecutive ports e.g. 4000 and 4001
+	 * @returns {Promise<Object>} resolves the server `url` and a `close()` method once the server is running
+	 *   or the servers of all targets e.g. { targets: [{ name: 'brand-a', url, close }], close }
+	 */
+	preview(previewOptions) {
+		const settings = _.defaults({}, previewOptions, {
+			port: 4000,
+		});
+		if (this.targets.length) {
+			const servers = [];
+			const closeServers = () => Promise.all(servers.map((server) => server.close()));
+			return this._runTargets((target) => target.preview({
+				// Port 0 picks a free port for every target
+				port: settings.port && settings.port + this.targets.indexOf(target),
+			}).then((server) => {
+				servers.push(server);
+				return _.extend({ name: target.options.name }, server);
+			}))
+				.then((results) => ({ targets: results, close: closeServers }))
+				// Stop the already running servers if a target fails
+				.catch((error) => closeServers().then(() => {
+					throw error;
+				}));
+		}
+		return this.buildPreview()
+			.then((previewDir) => preview.startServer(previewDir, settings.port))
+			.then((server) => ({
+				url: `http://localhost:${server.address().port}/`,
+				close: () => new Promise((resolve) => server.close(resolve)),
+			}));
+	}
+
+	/**
+	 * Watches the rootDirectory and rebuilds every component whose pattern.json
+	 * or example templates change - for every deploy target if targets are configured
+	 * @param {Object} [watchOptions] Watch options
+	 * @param {boolean} [watchOptions.sync] Sync the rebuilt components to frontify
+	 * @param {number} [watchOptions.debounce] Milliseconds to wait for further changes before rebuilding
+	 * @param {Function} [watchOptions.onChange] Called with the ids of the rebuilt components and the sync result
+	 *   or with the results of all targets e.g. { targets: [{ name: 'brand-a', components, synced }] }
+	 * @param {Function} [watchOptions.onError] Called with validation, compile or sync errors
+	 * @returns {Promise<Object>} resolves a watcher with a `close()` method once the watcher is ready
+	 */
+	watch(watchOptions) {
+		const settings = _.defaults({}, watchOptions, {
+			sync: false,
+			debounce: 300,
+			onChange: _.noop,
+			onError: _.noop,
+		});
+		const changedFiles = [];
+		const processChanges = _.debounce(() => {
+			const files = changedFiles.splice(0);
+			// The resolver caches the component tree - a new resolver reads the changed files
+			// (a custom resolver is configured by its creator and never replaced)
+			if (!this.options.watch) {
+				this._setResolver(new NitroComponentResolver({
+					rootDirectory: this.options.rootDirectory,
+					examples: true,
+				}));
+			}
+			const rebuild = this.targets.length
+				? this._runTargets((target) => target._rebuildChangedFiles(files, settings.sync)
+					.then((result) => _.extend({ name: target.options.name }, result)))
+					.then((results) => ({ targets: results }))
+				: this._rebuildChangedFiles(files, settings.sync);
+			rebuild.then((result) => settings.onChange(result), (error) => {
+				this._emitError(error);
+				settings.onError(error);
+			});
+		}, settings.debounce);
+		const watcher = chokidar.watch(this.options.rootDirectory, { ignoreInitial: true });
+		watcher.on('all', (event, file) => {
+			changedFiles.push(path.resolve(file));
+			processChanges();
+		});
+		return new Promise((resolve) => {
+			watcher.on('ready', () => resolve({
+				close: () => {
+					processChanges.cancel();
+					watcher.close();
+				},
+			}));
+		});
+	}
+
+	/**
+	 * Replaces the component resolver of the deployer and its deploy targets
+	 * @param {Object} nitroComponentResolver A nitro-component-resolver instance
+	 * @returns {undefined}
+	 */
+	_setResolver(nitroComponentResolver) {
+		this.nitroComponentResolver = nitroComponentResolver;
+		this.targets.forEach((target) => target._setResolver(nitroComponentResolver));
+	}
+
+	/**
+	 * Revalidates and rebuilds all components which contain one of the given files
+	 * @param {Array<string>} files The changed files
+	 * @param {boolean} sync Sync the rebuilt components to frontify
+	 * @returns {Promise<Object>} the rebuilt component ids and the sync result
+	 */
+	_rebuildChangedFiles(files, sync) {
+		return this._getComponents()
+			.then((components) => {
+				const changedComponents = _.values(components).filter((component) => files.some((file) =>
+					file === component.directory || file.indexOf(component.directory + path.sep) === 0));
+				return Promise.all(changedComponents.map((component) => this._validateComponent(component, true)))
+					.then((problems) => {
+						const report = validationReport.createReport(
+							changedComponents.map((component) => this._getComponentId(component)),
+							_.flatten(problems)
+						);
+						if (!report.valid) {
+							throw new errors.ValidationReportError(report);
+						}
+						return Promise.all(changedComponents.map((component) => this._buildComponent(component)));
+					})
+					.then(() => changedComponents.map((component) => this._getComponentId(component)));
+			})
+			.then((componentIds) => {
+				if (!sync || componentIds.length === 0) {
+					return { components: componentIds, synced: [] };
+				}
+				return this._syncPatterns(componentIds.map((componentId) => `${componentId}/pattern.json`))
+					.then((patterns) => ({ components: componentIds, synced: patterns }));
+			});
 	}
 
 	/**
 	 * Validate a single component
 	 * @param {Object} component A nitro-component-resolver component instance
-	 * @returns {boolean} success
+	 * @param {boolean} renderExamples Render every example to find template and example data errors
+	 * @returns {Promise<Array>} all problems of the component
+	 */
+	_validateComponent(component, renderExamples) {
+		const start = Date.now();
+		const componentId = this._getComponentId(component);
+		const problems = [];
+		const addProblem = (type, file, message) => {
+			problems.push({ component: componentId, type, file, message });
+		};
+		try {
+			this.patternValidator.validateComponent(component);
+		} catch (schemaError) {
+			addProblem('schema', component.metaFile, schemaError.message);
+		}
+		if (!this._getComponentType(component)) {
+			// The type folder isn't helpful for nested components and path pattern or function mappings
+			addProblem('mapping', component.metaFile,
+				`No type for "${componentId}" - add it to the mapping or set defaultType`);
+		}
+		try {
+			this._getVariationAssets(component);
+		} catch (assetError) {
+			addProblem('assets', component.metaFile, assetError.message);
+		}
+		return this._getSelectedExamples(component)
+			.then((examples) => {
+				if (examples.length === 0) {
+					addProblem('examples', component.directory, 'No examples found.');
+				}
+				if (!renderExamples) {
+					return undefined;
+				}
+				return examples.reduce((previous, example) => previous
+					.then(() => this._getExampleData(component, example.filepath))
+					.then((data) => this._renderExample(example.filepath, data, component))
+					.catch((exampleError) => {
+						problems.push(this._getExampleProblem(componentId, exampleError, example.filepath));
+					}), Promise.resolve());
+			})
+			.then(() => {
+				this.emit('component:validated', {
+					component: componentId,
+					valid: problems.length === 0,
+					problems,
+					duration: Date.now() - start,
+				});
+				return problems;
+			});
+	}
+
+	/**
+	 * Converts a template or example data error into a validation problem
+	 * @param {string} componentId The component id e.g. 'atoms/button'
+	 * @param {Error} exampleError The error of the compilation or the example data
+	 * @param {string} [templateSrc] The example template if the error doesn't reference a file
+	 * @returns {Object} problem
+	 */
+	_getExampleProblem(componentId, exampleError, templateSrc) {
+		return {
+			component: componentId,
+			type: exampleError instanceof errors.TemplateCompileError ? 'template' : 'data',
+			file: exampleError.file || templateSrc,
+			message: exampleError.message,
+		};
+	}
+
+	/**
+	 * Returns the examples of a component which are transmitted to frontify
+	 * sorted by the order from the pattern.json and their file name
+	 * @param {Object} component A nitro-component-resolver component instance
+	 * @returns {Promise<Array>} nitro-component-resolver example instances
+	 */
+	_getSelectedExamples(component) {
+		return this.nitroComponentResolver.getComponentExamples(component.directory)
+			.then((examples) => {
+				const selectedExamples = examples
+					// Skip example data files e.g. _example/desktop.json
+					.filter((example) => path.extname(example.filepath) !== '.json')
+					.filter((example) => this._isExampleSelected(component, example));
+				return _.sortBy(selectedExamples, [
+					(example) => {
+						const order = this._getExampleSettings(component, example).order;
+						return order === undefined ? Infinity : order;
+					},
+					'filepath',
+				]);
+			});
+	}
+
+	/**
+	 * Returns whether the example is transmitted according to the examples option and the pattern.json
+	 * @param {Object} component A nitro-component-resolver component instance
+	 * @param {Object} example A nitro-component-resolver example instance
+	 * @returns {boolean} selected
 	 */
-	_validateComponent(component) {
-		this.patternValidator.validateComponent(component);
-		// Get the type folder name e.g. 'atoms' or 'molecules'
-		const typeFolderName = path.basename(path.dirname(path.dirname(component.metaFile)));
-		if (!this.options.mapping[typeFolderName]) {
-			throw new Error(`Folder name "${typeFolderName}" is not in the mapping.`);
+	_isExampleSelected(component, example) {
+		const include = this._getExampleSettings(component, example).include;
+		if (include !== undefined) {
+			return include;
 		}
-		return true;
+		if (this.options.examples === 'all') {
+			return true;
+		}
+		if (this.options.examples === 'main') {
+			// main examples have a flag `main = true`
+			return example.main;
+		}
+		const relativePath = path.relative(component.directory, example.filepath).replace(/\\/g, '/');
+		const matches = (pattern) => minimatch(relativePath, pattern);
+		const patterns = _.partition(this.options.examples, (pattern) => pattern[0] !== '!');
+		// Negated patterns like '!_example/_*.hbs' exclude examples
+		return patterns[0].some(matches) && !patterns[1].map((pattern) => pattern.substr(1)).some(matches);
+	}
+
+	/**
+	 * Returns the settings of an example from the `examples` property of the pattern.json
+	 * e.g. { "examples": { "_disabled": { "include": true, "name": "Disabled", "order": 2 } } }
+	 * @param {Object} component A nitro-component-resolver component instance
+	 * @param {Object} example A nitro-component-resolver example instance
+	 * @returns {Object} example settings
+	 */
+	_getExampleSettings(component, example) {
+		const name = path.basename(example.filepath).replace(/\..+$/, '');
+		return (component.data.examples || {})[name] || {};
 	}
 
 	/**
@@ -130,19 +991,58 @@ class NitroFrontifyDeployer {
 	 * @param {string} componentName the name of the component
 	 * @param {string} componentPath the absolute path to the component directory
 	 * @param {Object} example A nitro-component-resolver example instance
+	 * @param {Object} exampleSettings The example settings from the pattern.json
 	 * @returns {Object} variant
 	 */
-	_generateVariation(componentName, componentPath, example) {
+	_generateVariation(componentName, componentPath, example, exampleSettings) {
 		const name = path.basename(example.filepath).replace(/\..+$/, '');
 		const examplePath = path.join(path.relative(this.options.rootDirectory, componentPath), `${name}.html`);
-		return {
-			name: `${componentName} -- ${name}`,
+		const variation = {
+			name: `${componentName} -- ${exampleSettings.name || name}`,
 			assets: {
 				html: [
 					examplePath.replace(/\\/g, '/'),
 				],
 			},
 		};
+		if (this.options.thumbnails) {
+			variation.thumbnail = examplePath.replace(/\\/g, '/').replace(/\.html$/, '.png');
+		}
+		return variation;
+	}
+
+	/**
+	 * Returns the global and component specific stylesheets and scripts which are added to every variation
+	 * The paths are relative to the targetDir as frontify reads the variation assets from there
+	 * @param {Object} component A nitro-component-resolver component instance
+	 * @param {Object} [assetManifest] The fingerprinted asset names
+	 * @returns {Object} variation assets e.g. { css: ['../assets/library.css'] or ['_assets/library.1a2b3c4d.css'] }
+	 */
+	_getVariationAssets(component, assetManifest) {
+		const componentAssets = component.data.variationAssets || {};
+		const variationAssets = {};
+		VARIATION_ASSET_TYPES.forEach((assetType) => {
+			const files = _.uniq((this.options.variationAssets[assetType] || [])
+				.concat(componentAssets[assetType] || []));
+			if (files.length === 0) {
+				return;
+			}
+			variationAssets[assetType] = files.map((file) => {
+				const assetPath = path.resolve(this.options.assetFolder, file);
+				if (!fs.existsSync(assetPath)) {
+					throw new errors.ValidationError(
+						`Variation asset "${file}" does not exist in the assetFolder "${this.options.assetFolder}"`,
+						component.metaFile
+					);
+				}
+				const assetName = path.relative(this.options.assetFolder, assetPath).replace(/\\/g, '/');
+				const outputPath = assetManifest && assetManifest[assetName]
+					? path.resolve(this.options.targetDir, ASSET_FOLDER, assetManifest[assetName])
+					: assetPath;
+				return path.relative(this.options.targetDir, outputPath).replace(/\\/g, '/');
+			});
+		});
+		return variationAssets;
 	}
 
 	/**
@@ -153,9 +1053,8 @@ class NitroFrontifyDeployer {
 	_generateComponentTransferData(component) {
 		const resultJson = {};
 		const sourceJson = component.data;
-		const frontifyProperties = Object.keys(schema.properties);
 		// Copy all known properties
-		frontifyProperties.forEach((property) => {
+		this.options.transferProperties.forEach((property) => {
 			if (sourceJson[property] !== undefined) {
 				resultJson[property] = sourceJson[property];
 			}
@@ -173,57 +1072,206 @@ class NitroFrontifyDeployer {
 		// Set type from folder name e.g. components/atoms/button -> atoms -> [options.mapping] -> atom
 		/* istanbul ignore else */
 		if (!resultJson.type) {
-			resultJson.type = this.options.mapping[componenType];
+			resultJson.type = this._getComponentType(component);
 		}
 		// Add variations
 		resultJson.variations = {};
-		return this.nitroComponentResolver.getComponentExamples(component.directory)
-			.then((examples) => {
-				examples
-				// Only sync the main examples
-				// main examples have a flag `main = true`
-				.filter((example) => example.main)
-				.forEach((example) => {
+		let assetManifest;
+		return Promise.all([this._getSelectedExamples(component), this._getAssetManifest()])
+			.then((results) => {
+				const examples = results[0];
+				assetManifest = results[1];
+				const variationAssets = this._getVariationAssets(component, assetManifest);
+				examples.forEach((example) => {
 					const exampleName = path.relative(component.directory, example.filepath).replace(/\\/g, '/');
-					resultJson.variations[exampleName] = this._generateVariation(resultJson.name, componentPath, example);
+					const variation = this._generateVariation(resultJson.name, componentPath, example,
+						this._getExampleSettings(component, example));
+					_.extend(variation.assets, _.cloneDeep(variationAssets));
+					resultJson.variations[exampleName] = variation;
 				});
+				return this._renderDocumentation(component);
+			})
+			.then((documentation) => {
+				if (documentation === undefined) {
+					return resultJson;
+				}
+				if (this.options.documentationTarget === 'asset') {
+					resultJson.assets = { html: [this._getDocumentationAsset(component)] };
+				} else {
+					resultJson.description = documentation;
+				}
 				return resultJson;
-			});
+			})
+			// e.g. images inside the description
+			.then((transferData) => (assetManifest
+				? assetPipeline.rewriteDataReferences(transferData, assetManifest)
+				: transferData))
+			// e.g. the frontify sync target moves the metadata which frontify doesn't know into the description
+			.then((transferData) => (typeof this.syncTarget.preparePattern === 'function'
+				? this.syncTarget.preparePattern(transferData)
+				: transferData));
+	}
+
+	/**
+	 * Returns the absolute path of the documentation file of the given component
+	 * @param {Object} component A nitro-component-resolver component instance
+	 * @returns {string|undefined} documentation file or undefined if the documentation is disabled
+	 */
+	_getDocumentationFile(component) {
+		if (!this.options.documentationFile) {
+			return undefined;
+		}
+		return path.join(component.directory, this.options.documentationFile);
+	}
+
+	/**
+	 * Returns the path of the rendered documentation relative to the targetDir
+	 * e.g. 'atoms/button/readme.html'
+	 * @param {Object} component A nitro-component-resolver component instance
+	 * @returns {string} documentation asset
+	 */
+	_getDocumentationAsset(component) {
+		const name = path.basename(this.options.documentationFile).replace(/\..+$/, '');
+		return `${this._getComponentId(component)}/${name}.html`;
+	}
+
+	/**
+	 * Renders the markdown documentation of the given component
+	 * @param {Object} component A nitro-component-resolver component instance
+	 * @returns {Promise<string|undefined>} html or undefined if the component has no documentation
+	 */
+	_renderDocumentation(component) {
+		const documentationFile = this._getDocumentationFile(component);
+		if (!documentationFile || !fs.existsSync(documentationFile)) {
+			return Promise.resolve(undefined);
+		}
+		return fsReadFile(documentationFile)
+			.then((content) => marked(content.toString()));
 	}
 
 	/**
-	 * Compile the example template using the engine from the config e.g. handlebars
+	 * Returns the optional data file of an example e.g. _example/desktop.hbs -> _example/desktop.json
 	 * @param {string} templateSrc template source file e.g. /a/path/file.hbs
-	 * @param {string} templateDest template output file e.g. /a/path/file.html
-	 * @returns {Promise} write promise
+	 * @returns {string} data file
+	 */
+	_getExampleDataFile(templateSrc) {
+		const name = path.basename(templateSrc).replace(/\..+$/, '');
+		return path.join(path.dirname(templateSrc), `${name}.json`);
+	}
+
+	/**
+	 * Assembles the data for an example template from the pattern.json property defaults,
+	 * the example data file and the exampleDataProcessor option
+	 * @param {Object} component A nitro-component-resolver component instance
+	 * @param {string} templateSrc template source file e.g. /a/path/file.hbs
+	 * @returns {Promise<Object>} example data
 	 */
-	_compileExample(templateSrc, templateDest) {
-		return mkdirp(path.dirname(templateDest)).then(() =>
-			fsReadFile(templateSrc).then((src) => {
-				let compiled;
+	_getExampleData(component, templateSrc) {
+		const dataFile = this._getExampleDataFile(templateSrc);
+		return fsReadFile(dataFile)
+			.then((content) => {
 				try {
-					compiled = this.options.compiler(src.toString(), path.resolve(templateSrc));
-					// Execute template
-					/* istanbul ignore else */
-					if (typeof compiled === 'function') {
-						compiled = compiled({});
-					}
-				} catch (templateCompileError) {
-					templateCompileError.message = `"${templateSrc}" ${templateCompileError.message}`;
-					throw templateCompileError;
+					return JSON.parse(content.toString());
+				} catch (parseError) {
+					throw new errors.ValidationError(`"${dataFile}" ${parseError.message}`, dataFile);
 				}
-				const pretty = html.prettyPrint(compiled, { indent: 2, unformatted: [] });
-				return fsWriteFile(templateDest, pretty);
+			}, (readError) => {
+				if (readError.code !== 'ENOENT') {
+					throw readError;
+				}
+				return {};
 			})
-		);
+			.then((exampleData) => {
+				const data = _.merge(getSchemaDefaults(component.data.properties), this.options.exampleData, exampleData);
+				return this.options.exampleDataProcessor(data, templateSrc, component);
+			});
+	}
+
+	/**
+	 * Render the example template using the engine from the config e.g. handlebars
+	 * @param {string} templateSrc template source file e.g. /a/path/file.hbs
+	 * @param {Object} [data] The data to execute the template with
+	 * @param {Object} component A nitro-component-resolver component instance
+	 * @returns {Promise<string>} the post-processed html
+	 */
+	_renderExample(templateSrc, data, component) {
+		// Allows the compiler to resolve partials and helpers relative to the component
+		const context = {
+			component: this._getComponentId(component),
+			directory: component.directory,
+			rootDirectory: this.options.rootDirectory,
+			data: data || {},
+		};
+		return fsReadFile(templateSrc)
+			.then((src) => Promise.resolve()
+				.then(() => this._getCompiler(templateSrc)(src.toString(), path.resolve(templateSrc), context))
+				// Execute template
+				.then((compiled) => (typeof compiled === 'function' ? compiled(context.data) : compiled))
+				.catch((templateCompileError) => {
+					throw new errors.TemplateCompileError(templateSrc, templateCompileError);
+				}))
+			.then((compiled) => this._processHtml(compiled, component, templateSrc));
+	}
+
+	/**
+	 * Returns the compiler for the given template from the compiler option
+	 * @param {string} templateSrc template source file e.g. /a/path/file.hbs
+	 * @returns {Function} compiler
+	 */
+	_getCompiler(templateSrc) {
+		if (typeof this.options.compiler === 'function') {
+			return this.options.compiler;
+		}
+		const extension = path.extname(templateSrc);
+		if (!this.options.compiler[extension]) {
+			throw new Error(`No compiler for "${extension}" templates - add it to the compiler option ` +
+				`e.g. { compiler: { "${extension}": compile } }`);
+		}
+		return this.options.compiler[extension];
+	}
+
+	/**
+	 * Runs the compiled example through the htmlOutput pipeline
+	 * The htmlOutput of the pattern.json overrides the options of the config
+	 * References to fingerprinted assets are replaced with their hashed file names
+	 * @param {string} compiled The compiled example
+	 * @param {Object} component A nitro-component-resolver component instance
+	 * @param {string} templateSrc template source file e.g. /a/path/file.hbs
+	 * @returns {Promise<string>} html
+	 */
+	_processHtml(compiled, component, templateSrc) {
+		const pipeline = htmlPipeline.createPipeline(_.extend({}, this.options.htmlOutput, component.data.htmlOutput));
+		return Promise.all([
+			pipeline(compiled, {
+				component: this._getComponentId(component),
+				template: templateSrc,
+			}),
+			this._getAssetManifest(),
+		]).then((results) => (results[1] ? assetPipeline.rewriteReferences(results[0], results[1]) : results[0]));
+	}
+
+	/**
+	 * Compile the example template and write the result into the targetDir
+	 * @param {string} templateSrc template source file e.g. /a/path/file.hbs
+	 * @param {string} templateDest template output file e.g. /a/path/file.html
+	 * @param {Object} [data] The data to execute the template with
+	 * @param {Object} component A nitro-component-resolver component instance
+	 * @returns {Promise} write promise
+	 */
+	_compileExample(templateSrc, templateDest, data, component) {
+		return mkdirp(path.dirname(templateDest))
+			.then(() => this._renderExample(templateSrc, data, component))
+			.then((pretty) => fsWriteFile(templateDest, pretty));
 	}
 
 	/**
 	 * Generates the frontify ready pattern json data for the given component
 	 * @param {Object} component A nitro-component-resolver component instance
-	 * @returns {Promise} build promise
+	 * @returns {Promise<Object>} build promise resolving the transferData
 	 */
 	_buildComponent(component) {
+		const start = Date.now();
+		const componentId = this._getComponentId(component);
 		return this._generateComponentTransferData(component)
 			// pattern.json
 			.then((transferData) => {
@@ -234,59 +1282,741 @@ class NitroFrontifyDeployer {
 					.then(() => fsWriteFile(patternJson, JSON.stringify(transferData, null, 2)))
 					.then(() => transferData);
 			})
+			// documentation
+			.then((transferData) => {
+				if (!transferData.assets) {
+					return transferData;
+				}
+				return this._renderDocumentation(component)
+					.then((documentation) => fsWriteFile(
+						path.resolve(this.options.targetDir, transferData.assets.html[0]),
+						documentation
+					))
+					.then(() => transferData);
+			})
 			// html files
 			.then((transferData) => {
 				const variationNames = Object.keys(transferData.variations);
-				return Promise.all(variationNames.map((variationName) => {
+				// Compile one example after another to limit the open files to the build concurrency
+				return variationNames.reduce((previous, variationName) => previous.then(() => {
 					const variationTemplateSrc = path.resolve(component.directory, variationName);
 					const firstAsset = transferData.variations[variationName].assets.html[0];
 					const variationTemplateDest = path.resolve(this.options.targetDir, firstAsset);
-					return this._compileExample(variationTemplateSrc, variationTemplateDest);
-				}));
+					const exampleStart = Date.now();
+					return this._getExampleData(component, variationTemplateSrc)
+						.then((data) => this._compileExample(variationTemplateSrc, variationTemplateDest, data, component))
+						.then(() => this.emit('example:compiled', {
+							component: componentId,
+							template: variationTemplateSrc,
+							file: firstAsset,
+							duration: Date.now() - exampleStart,
+						}))
+						.then(() => this._renderThumbnail(componentId, transferData.variations[variationName]));
+				}), Promise.resolve()).then(() => transferData);
+			})
+			.then((transferData) => {
+				this.emit('component:built', { component: componentId, duration: Date.now() - start });
+				return transferData;
 			});
 	}
 
 	/**
-	 * Build all components
-	 * @returns {Promise} build promise
+	 * Takes a png screenshot of the compiled variation including its stylesheets and scripts
+	 * and writes it next to the variation html file
+	 * @param {string} componentId The component id e.g. 'atoms/button'
+	 * @param {Object} variation The variation of the generated pattern.json
+	 * @returns {Promise} write promise
+	 */
+	_renderThumbnail(componentId, variation) {
+		if (!variation.thumbnail) {
+			return Promise.resolve();
+		}
+		return preview.renderVariation(this.options.targetDir, variation)
+			.then((page) => this.thumbnailRenderer({
+				html: page,
+				width: this.options.thumbnails.width,
+				height: this.options.thumbnails.height,
+				component: componentId,
+				variation,
+			}))
+			.then((png) => fsWriteFile(path.resolve(this.options.targetDir, variation.thumbnail), png));
+	}
+
+	/**
+	 * Validates all components and builds the valid ones like `deploy()` without syncing them
+	 * Invalid and failing components are skipped if the continueOnError build option is set
+	 * @returns {Promise<Object>} { components, failed } the transferData of the built components
+	 *   and the skipped components e.g. [{ component: 'atoms/button', message }]
+	 */
+	build() {
+		if (this.targets.length) {
+			return this._runTargets((target) => target.build()
+				.then((result) => _.extend({ name: target.options.name }, result)))
+				.then((results) => ({ targets: results }));
+		}
+		return this._buildValidComponents()
+			.then((buildResult) => ({ components: buildResult.transferData, failed: buildResult.failed }));
+	}
+
+	/**
+	 * Build all components without validating them
+	 * Components which fail with the continueOnError build option are only reported
+	 * by the `component:failed` event - use `build()` to get them
+	 * @returns {Promise<Array>} build promise resolving the transferData of all components
 	 */
 	buildComponents() {
-		return this.nitroComponentResolver
-			.getComponents()
-			.then((components) => Promise.all(
-					_.values(components)
-					.map((component) => this._buildComponent(component))
-				)
-			);
+		if (this.targets.length) {
+			return this._runTargets((target) => target.buildComponents())
+				.then((results) => _.flatten(results));
+		}
+		return this._buildAssets()
+			.then(() => this._getComponents())
+			.then((components) => this._buildComponentList(_.values(components)))
+			.then((buildReport) => buildReport.transferData);
+	}
+
+	/**
+	 * Validates all components and builds the valid ones
+	 * Template and example data errors are found by the build instead of rendering every example twice
+	 * Invalid and failing components are skipped if the continueOnError build option is set
+	 * otherwise a report of all problems is thrown
+	 * @returns {Promise<Object>} { transferData, failed } the transferData of the built components
+	 *   and the skipped components e.g. [{ component: 'atoms/button', message }]
+	 */
+	_buildValidComponents() {
+		const exampleProblems = [];
+		return this._buildAssets()
+			.then(() => this._getValidationReport(false))
+			.then((report) => {
+				const invalidIds = _.uniq(report.problems.map((problem) => problem.component));
+				// Don't sync the output of a previous build
+				return this._removeComponentOutput(invalidIds)
+					.then(() => this._getComponents())
+					.then((components) => this._buildComponentList(_.values(components)
+						.filter((component) => invalidIds.indexOf(this._getComponentId(component)) === -1), exampleProblems))
+					.then((buildReport) => {
+						const fullReport = validationReport.createReport(report.components,
+							report.problems.concat(exampleProblems));
+						if (!fullReport.valid && !this.options.buildOptions.continueOnError) {
+							throw new errors.ValidationReportError(fullReport);
+						}
+						const invalid = _.uniq(fullReport.problems.map((problem) => problem.component))
+							.map((componentId) => ({
+								component: componentId,
+								message: fullReport.problems
+									.filter((problem) => problem.component === componentId)
+									.map((problem) => problem.message)
+									.join('\n'),
+							}));
+						return {
+							transferData: buildReport.transferData,
+							failed: _.sortBy(invalid.concat(buildReport.failed), 'component'),
+						};
+					});
+			});
+	}
+
+	/**
+	 * Builds the given components - either all or only the changed ones (incremental option)
+	 * @param {Array<Object>} components nitro-component-resolver component instances
+	 * @param {Array<Object>} [exampleProblems] Collects template and example data errors as validation problems
+	 *   instead of throwing them
+	 * @returns {Promise<Object>} build report { transferData, failed }
+	 */
+	_buildComponentList(components, exampleProblems) {
+		if (this.options.incremental) {
+			return this._buildChangedComponents(components, exampleProblems);
+		}
+		return this._buildEachComponent(components, (component) => this._buildComponent(component), exampleProblems);
+	}
+
+	/**
+	 * Runs the build of every component with the limited build concurrency
+	 * With the continueOnError build option a failing component is recorded and its output is removed
+	 * while all other components are still built
+	 * @param {Array<Object>} components nitro-component-resolver component instances
+	 * @param {Function} build Builds a single component and resolves its transferData
+	 * @param {Array<Object>} [exampleProblems] Collects template and example data errors as validation problems
+	 *   instead of throwing them
+	 * @returns {Promise<Object>} build report { transferData, failed }
+	 */
+	_buildEachComponent(components, build, exampleProblems) {
+		const failed = [];
+		return Promise.all(components.map((component) => {
+			const start = Date.now();
+			return this.buildLimiter(() => build(component))
+				.catch((buildError) => {
+					const isExampleError = buildError instanceof errors.TemplateCompileError ||
+						buildError instanceof errors.ValidationError;
+					const componentId = this._getComponentId(component);
+					if (exampleProblems && isExampleError) {
+						exampleProblems.push(this._getExampleProblem(componentId, buildError));
+					} else if (this.options.buildOptions.continueOnError) {
+						failed.push({ component: componentId, message: buildError.message });
+					} else {
+						throw buildError;
+					}
+					this.emit('component:failed', {
+						component: componentId,
+						message: buildError.message,
+						duration: Date.now() - start,
+					});
+					return this._removeComponentOutput([componentId]).then(() => undefined);
+				});
+		})).then((transferDataList) => ({
+			transferData: _.compact(transferDataList),
+			failed: _.sortBy(failed, 'component'),
+		}));
+	}
+
+	/**
+	 * Build only the components whose pattern.json, examples or build output
+	 * changed since the last build and store the new hashes in the manifest
+	 * @param {Array<Object>} components nitro-component-resolver component instances
+	 * @param {Array<Object>} [exampleProblems] Collects template and example data errors as validation problems
+	 * @returns {Promise<Object>} build report { transferData, failed }
+	 */
+	_buildChangedComponents(components, exampleProblems) {
+		return Promise.all([
+			manifest.readManifest(this.options.targetDir),
+			this.nitroComponentResolver.getComponents(),
+		]).then((results) => {
+			const optionsHash = manifest.hashOptions(_.pick(this.options, BUILD_OPTIONS));
+			// Changed options e.g. a new htmlOutput wrapper rebuild all components
+			const previousManifest = results[0].options === optionsHash ? results[0] : _.extend({}, results[0], {
+				components: _.mapValues(results[0].components, (entry) => _.extend({}, entry, { input: null })),
+			});
+			const nextManifest = manifest.createManifest();
+			nextManifest.options = optionsHash;
+			// Keep the entries of existing components which are not part of this build e.g. during a selective deploy
+			const existingIds = _.values(results[1]).map((component) => this._getComponentId(component));
+			nextManifest.components = _.pick(previousManifest.components, existingIds);
+			return this._buildEachComponent(components,
+				(component) => this._buildChangedComponent(component, previousManifest, nextManifest), exampleProblems)
+				.then((buildReport) => {
+					// Rebuild the failed components during the next build
+					buildReport.failed.concat(exampleProblems || [])
+						.filter((failedComponent) => nextManifest.components[failedComponent.component])
+						.forEach((failedComponent) => {
+							nextManifest.components[failedComponent.component].output = null;
+						});
+					return manifest.writeManifest(this.options.targetDir, nextManifest)
+						.then(() => buildReport);
+				});
+		});
 	}
 
 	/**
-	 * Syncs all components to frontify
+	 * Build a single component if its hashes differ from the previous manifest entry
+	 * @param {Object} component A nitro-component-resolver component instance
+	 * @param {Object} previousManifest The manifest of the last build
+	 * @param {Object} nextManifest The manifest of the current build
+	 * @returns {Promise<Object>} build promise resolving the transferData
+	 */
+	_buildChangedComponent(component, previousManifest, nextManifest) {
+		const componentId = this._getComponentId(component);
+		const previousEntry = previousManifest.components[componentId] || {};
+		return Promise.all([
+			this._hashComponentInput(component),
+			this._hashComponentOutput(componentId),
+		]).then((hashes) => {
+			const entry = {
+				input: hashes[0],
+				output: hashes[1],
+				synced: previousEntry.synced,
+			};
+			nextManifest.components[componentId] = entry;
+			if (entry.output && entry.input === previousEntry.input && entry.output === previousEntry.output) {
+				return fsReadFile(path.resolve(this.options.targetDir, componentId, 'pattern.json'))
+					.then((content) => JSON.parse(content.toString()));
+			}
+			return this._buildComponent(component)
+				.then((transferData) => this._hashComponentOutput(componentId)
+					.then((outputHash) => {
+						entry.output = outputHash;
+						return transferData;
+					}));
+		});
+	}
+
+	/**
+	 * Resolves the component type from the mapping option
+	 * Path patterns are matched against the component id first - afterwards the closest
+	 * parent folder which is in the mapping wins e.g. organisms/forms/login -> forms -> organisms
+	 * @param {Object} component A nitro-component-resolver component instance
+	 * @returns {string|undefined} type e.g. 'atom' or the defaultType if the component is not in the mapping
+	 */
+	_getComponentType(component) {
+		const mapping = this.options.mapping;
+		const componentId = this._getComponentId(component);
+		if (typeof mapping === 'function') {
+			return mapping(componentId, component) || this.options.defaultType;
+		}
+		const mappingKeys = Object.keys(mapping);
+		const pathPattern = mappingKeys
+			.filter((mappingKey) => isPathPattern(mappingKey))
+			.find((mappingKey) => minimatch(componentId, mappingKey));
+		if (pathPattern) {
+			return mapping[pathPattern];
+		}
+		const folderName = componentId.split('/').slice(0, -1).reverse()
+			.find((folder) => mappingKeys.indexOf(folder) !== -1 && mapping[folder]);
+		return folderName ? mapping[folderName] : this.options.defaultType;
+	}
+
+	/**
+	 * Returns the components of the resolver which match the include and exclude options
+	 * @returns {Promise<Object>} nitro-component-resolver component instances
+	 */
+	_getComponents() {
+		return this.nitroComponentResolver.getComponents()
+			.then((components) => _.pickBy(components, (component) => this._isComponentIncluded(component)));
+	}
+
+	/**
+	 * Returns whether the component matches the include, exclude, components and stability options
+	 * @param {Object} component A nitro-component-resolver component instance
+	 * @returns {boolean} included
+	 */
+	_isComponentIncluded(component) {
+		const componentId = this._getComponentId(component);
+		const matches = (pattern) => minimatch(componentId, pattern);
+		return (!this.options.include || this.options.include.some(matches)) &&
+			!this.options.exclude.some(matches) &&
+			(!this.options.components || this.options.components.some(matches)) &&
+			this._isStabilityIncluded(component.data.stability);
+	}
+
+	/**
+	 * Returns whether the stability matches the stability option
+	 * Negated stabilities like '!experimental' exclude components
+	 * @param {string} stability The stability from the pattern.json e.g. 'stable'
+	 * @returns {boolean} included
+	 */
+	_isStabilityIncluded(stability) {
+		const stabilities = _.partition(this.options.stability, (pattern) => pattern[0] !== '!');
+		return (stabilities[0].length === 0 || stabilities[0].indexOf(stability) !== -1) &&
+			stabilities[1].map((pattern) => pattern.substr(1)).indexOf(stability) === -1;
+	}
+
+	/**
+	 * Returns the pattern.json files of all components relative to the targetDir
+	 * e.g. ['atoms/button/pattern.json', 'organisms/forms/login/pattern.json']
+	 * @returns {Promise<Array>} pattern files
+	 */
+	_getPatternFiles() {
+		return this._getComponents()
+			.then((components) => _.values(components)
+				.map((component) => `${this._getComponentId(component)}/pattern.json`)
+				.sort());
+	}
+
+	/**
+	 * Returns the component path relative to the rootDirectory e.g. 'atoms/button'
+	 * @param {Object} component A nitro-component-resolver component instance
+	 * @returns {string} componentId
+	 */
+	_getComponentId(component) {
+		return path.relative(this.options.rootDirectory, component.directory).replace(/\\/g, '/');
+	}
+
+	/**
+	 * Hashes the pattern.json and all example templates of the given component
+	 * @param {Object} component A nitro-component-resolver component instance
+	 * @returns {Promise<string>} hash
+	 */
+	_hashComponentInput(component) {
+		return this.nitroComponentResolver.getComponentExamples(component.directory)
+			.then((examples) => {
+				const exampleFiles = examples.map((example) => example.filepath);
+				const dataFiles = exampleFiles
+					.map((file) => this._getExampleDataFile(file))
+					.filter((file) => exampleFiles.indexOf(file) === -1 && fs.existsSync(file));
+				const documentationFile = this._getDocumentationFile(component);
+				const documentationFiles = documentationFile && fs.existsSync(documentationFile) ? [documentationFile] : [];
+				// Changed assets change the fingerprinted references of every component
+				const assetManifestFile = path.resolve(this.options.targetDir, ASSET_FOLDER,
+					assetPipeline.ASSET_MANIFEST_FILE);
+				const assetManifestFiles = this.options.fingerprintAssets && fs.existsSync(assetManifestFile)
+					? [assetManifestFile]
+					: [];
+				const files = [component.metaFile]
+					.concat(exampleFiles, dataFiles, documentationFiles, assetManifestFiles)
+					.map((file) => path.relative(component.directory, file));
+				return manifest.hashFiles(component.directory, files);
+			});
+	}
+
+	/**
+	 * Hashes the generated pattern.json and all its variation files inside the targetDir
+	 * Resolves null if the component wasn't build yet
+	 * @param {string} componentId The component path relative to the rootDirectory e.g. 'atoms/button'
+	 * @returns {Promise<string|null>} hash
+	 */
+	_hashComponentOutput(componentId) {
+		const patternFile = `${componentId}/pattern.json`;
+		return fsReadFile(path.resolve(this.options.targetDir, patternFile))
+			.then((content) => {
+				const pattern = JSON.parse(content.toString());
+				const variationFiles = _.values(pattern.variations)
+					.map((variation) => _.flatten(_.values(variation.assets)).concat(variation.thumbnail || []));
+				const assetFiles = _.flatten(_.values(pattern.assets).concat(variationFiles));
+				return manifest.hashFiles(this.options.targetDir, [patternFile].concat(assetFiles));
+			})
+			.catch(() => null);
+	}
+
+	/**
+	 * Compares the build output with the last synced output of every component in the manifest
+	 * @returns {Promise<Object>} the manifest and the ids of the changed and unchanged components
+	 */
+	_getSyncState() {
+		if (!this.options.incremental) {
+			return Promise.resolve({ manifest: manifest.createManifest(), changed: [], unchanged: [] });
+		}
+		return Promise.all([
+			manifest.readManifest(this.options.targetDir),
+			this._getPatternFiles(),
+		]).then((results) => {
+			const deployManifest = results[0];
+			// Only the components which are deployed e.g. the selected ones of a selective deploy
+			const deployedIds = results[1].map((patternFile) => path.posix.dirname(patternFile));
+			const componentIds = _.intersection(Object.keys(deployManifest.components).sort(), deployedIds);
+			const changed = componentIds.filter((componentId) =>
+				deployManifest.components[componentId].output !== deployManifest.components[componentId].synced);
+			return {
+				manifest: deployManifest,
+				changed,
+				unchanged: _.difference(componentIds, changed),
+			};
+		});
+	}
+
+	/**
+	 * Returns the pattern files inside the targetDir which have to be synced
+	 * @returns {Promise<Array>} glob patterns
+	 */
+	_getPatternFilesToSync() {
+		if (!this.options.incremental) {
+			return this._getPatternFiles();
+		}
+		return this._getSyncState()
+			.then((syncState) => syncState.changed.map((componentId) => `${componentId}/pattern.json`));
+	}
+
+	/**
+	 * Syncs all components to the sync target
 	 * @returns {Promise} sync promise
 	 */
 	_syncComponents() {
-		assert(typeof this.options.frontifyOptions === 'object', 'Please specifiy the frontify options');
-		assert(this.options.frontifyOptions.access_token, 'Please specify a frontify token');
-		return frontifyApi.syncPatterns(_.extend({
-			cwd: this.options.targetDir,
-		}, this.options.frontifyOptions), ['*/*/pattern.json']);
+		if (!this.options.incremental) {
+			return this._getPatternFiles().then((patternFiles) => this._syncPatterns(patternFiles));
+		}
+		return this._getSyncState().then((syncState) => {
+			if (syncState.changed.length === 0) {
+				return [];
+			}
+			const patternFiles = syncState.changed.map((componentId) => `${componentId}/pattern.json`);
+			// Remember the synced output to skip unchanged components during the next deploy
+			// If some batches fail only the failed components are synced again during the next deploy
+			const rememberSyncedPatterns = (syncedFiles) => {
+				syncedFiles.forEach((patternFile) => {
+					const entry = syncState.manifest.components[path.posix.dirname(patternFile)];
+					entry.synced = entry.output;
+				});
+				return manifest.writeManifest(this.options.targetDir, syncState.manifest);
+			};
+			return this._syncPatterns(patternFiles)
+				.then((patterns) => rememberSyncedPatterns(patternFiles).then(() => patterns))
+				.catch((syncError) => {
+					if (!syncError.report || !syncError.report.patterns) {
+						throw syncError;
+					}
+					return rememberSyncedPatterns(syncError.report.patterns.succeeded).then(() => {
+						throw syncError;
+					});
+				});
+		});
+	}
+
+	/**
+	 * Syncs the given pattern files from the targetDir to the sync target
+	 * @param {Array<string>} patternFiles glob patterns relative to the targetDir
+	 * @param {string} [cwd] The directory the pattern files are relative to (default: targetDir)
+	 * @returns {Promise} sync promise
+	 */
+	_syncPatterns(patternFiles, cwd) {
+		const patternDir = cwd || this.options.targetDir;
+		return this._syncFiles('patterns', patternDir, patternFiles,
+			(files) => this.syncTarget.syncPatterns(patternDir, files));
+	}
+
+	/**
+	 * Syncs the files matching the globs batch by batch according to the syncOptions
+	 * Throws a SyncError which lists the succeeded and failed files if a batch fails
+	 * @param {string} kind 'patterns' or 'assets'
+	 * @param {string} cwd The directory the globs are relative to
+	 * @param {Array<string>} globs glob patterns of the files
+	 * @param {Function} syncBatch Syncs the given files and returns a promise
+	 * @returns {Promise<Array>} the sync results of all batches
+	 */
+	_syncFiles(kind, cwd, globs, syncBatch) {
+		// e.g. 'pattern:synced'
+		const eventName = `${kind.replace(/s$/, '')}:synced`;
+		const emitSyncedFiles = (batchResult) => {
+			if (!batchResult.error) {
+				batchResult.files.forEach((file) => this.emit(eventName, {
+					file,
+					attempts: batchResult.attempts,
+					duration: batchResult.duration,
+				}));
+			}
+		};
+		return globby(globs, { cwd, nodir: true })
+			.then((files) => batchSync.syncBatches(files.sort(), syncBatch,
+				_.extend({ onBatch: emitSyncedFiles }, this.options.syncOptions), this.syncLimiter))
+			.then((report) => {
+				if (report.failed.length) {
+					throw new errors.SyncError(report.errors[0], {
+						[kind]: _.pick(report, ['succeeded', 'failed', 'batches']),
+					});
+				}
+				return report.results;
+			});
+	}
+
+	/**
+	 * Compares the published components with the components found by the resolver
+	 * @returns {Promise<Object>} the published manifest and the ids of all deployed and removed components
+	 */
+	_getPruneState() {
+		return Promise.all([
+			this._getComponents(),
+			// Components which are excluded or not selected still exist and are therefore not pruned
+			this.nitroComponentResolver.getComponents(),
+			manifest.readManifestFile(this.options.publishedManifest),
+		]).then((results) => {
+			const toComponentIds = (components) => _.values(components)
+				.map((component) => this._getComponentId(component));
+			const componentIds = toComponentIds(results[0]);
+			const published = results[2];
+			const removed = _.difference(Object.keys(published.components), toComponentIds(results[1]))
+				// Deprecated components are only deprecated once
+				.filter((componentId) => !published.components[componentId].deprecated)
+				.sort();
+			return { componentIds, published, removed };
+		});
 	}
 
 	/**
-	 * Syncs assets like images to frontify
+	 * Returns the components which are pruned according to the prune option
+	 * @param {Object} pruneState The result of `_getPruneState()`
+	 * @returns {Array<Object>} the pruned components
+	 */
+	_getPrunedComponents(pruneState) {
+		if (!this.options.prune) {
+			return [];
+		}
+		return pruneState.removed.map((componentId) => ({
+			component: componentId,
+			name: pruneState.published.components[componentId].name,
+			action: PRUNE_ACTIONS[this.options.prune],
+		}));
+	}
+
+	/**
+	 * Removes the build output of the given components from the targetDir
+	 * to prevent syncing outdated pattern.json files
+	 * @param {Array<string>} componentIds The component ids e.g. ['atoms/button']
+	 * @returns {Promise} remove promise
+	 */
+	_removeComponentOutput(componentIds) {
+		return Promise.all(componentIds.map((componentId) => rimraf(path.resolve(this.options.targetDir, componentId))));
+	}
+
+	/**
+	 * Deprecates or deletes all removed components and remembers all current components as published
+	 * The published manifest is only written if the prune or the publishedManifest option is set
+	 * @param {Object} pruneState The result of `_getPruneState()`
+	 * @returns {Promise<Array>} the pruned components
+	 */
+	_pruneComponents(pruneState) {
+		const pruned = this._getPrunedComponents(pruneState);
+		const componentIds = pruned.map((prunedComponent) => prunedComponent.component);
+		const patternFiles = componentIds.map((componentId) => `${componentId}/pattern.json`);
+		let prune = Promise.resolve();
+		if (pruned.length && this.options.prune === 'deprecate') {
+			prune = this._deprecateComponents(pruneState.published, componentIds)
+				.then(() => componentIds.forEach((componentId) => {
+					pruneState.published.components[componentId].deprecated = true;
+				}));
+		} else if (pruned.length) {
+			prune = this.syncLimiter(() => batchSync.retry(
+				() => this.syncTarget.removePatterns(this.options.targetDir, patternFiles),
+				this.options.syncOptions
+			))
+				.then((removeResult) => {
+					if (removeResult.error) {
+						throw new errors.SyncError(removeResult.error);
+					}
+				})
+				.then(() => componentIds.forEach((componentId) => {
+					delete pruneState.published.components[componentId];
+				}));
+		}
+		if (!this.options.prune && !this.config.publishedManifest) {
+			return prune.then(() => pruned);
+		}
+		return prune
+			.then(() => this._readPatterns(pruneState.componentIds.map((componentId) => `${componentId}/pattern.json`)))
+			.then((patterns) => {
+				patterns.forEach((pattern) => {
+					pruneState.published.components[path.posix.dirname(pattern.file)] = {
+						name: pattern.data.name,
+						type: pattern.data.type,
+						stability: pattern.data.stability,
+						// Allows to diff the variations if the sync target can't read the published patterns
+						variations: _.mapValues(pattern.data.variations, (variation) => ({ name: variation.name })),
+					};
+				});
+				return manifest.writeManifestFile(this.options.publishedManifest, pruneState.published);
+			})
+			.then(() => pruned);
+	}
+
+	/**
+	 * Syncs a deprecated pattern.json without variations for every given component
+	 * @param {Object} published The published manifest
+	 * @param {Array<string>} componentIds The ids of the removed components
+	 * @returns {Promise} sync promise
+	 */
+	_deprecateComponents(published, componentIds) {
+		const pruneDir = path.resolve(this.options.targetDir, PRUNE_FOLDER);
+		return Promise.all(componentIds.map((componentId) => {
+			const patternJson = path.resolve(pruneDir, componentId, 'pattern.json');
+			const deprecatedPattern = {
+				name: `${DEPRECATED_NAME_PREFIX}${published.components[componentId].name}`,
+				description: DEPRECATED_DESCRIPTION,
+				type: published.components[componentId].type,
+				stability: 'deprecated',
+				variations: {},
+			};
+			return mkdirp(path.dirname(patternJson))
+				.then(() => fsWriteFile(patternJson, JSON.stringify(deprecatedPattern, null, 2)));
+		})).then(() => this._syncPatterns(componentIds.map((componentId) => `${componentId}/pattern.json`), pruneDir));
+	}
+
+	/**
+	 * Copies the assets with their fingerprinted file names into the targetDir and writes the asset manifest
+	 * Resolves null if the fingerprintAssets option is not set
+	 * @returns {Promise<Object|null>} asset manifest e.g. { 'library.css': 'library.1a2b3c4d.css' }
+	 */
+	_buildAssets() {
+		if (!this.options.fingerprintAssets || this.options.assetFolder === '') {
+			return Promise.resolve(null);
+		}
+		return assetPipeline.createAssetManifest(this.options.assetFolder, this.options.assetFilter,
+			this.options.fingerprintAssets.hashLength)
+			.then((assetManifest) => assetPipeline.writeAssets(this.options.assetFolder,
+				path.resolve(this.options.targetDir, ASSET_FOLDER), assetManifest)
+				.then(() => assetManifest));
+	}
+
+	/**
+	 * Returns the fingerprinted asset names of the last asset build
+	 * The names are calculated without writing the assets if they weren't built yet e.g. for a diff
+	 * @returns {Promise<Object|null>} asset manifest - null if the fingerprintAssets option is not set
+	 */
+	_getAssetManifest() {
+		if (!this.options.fingerprintAssets || this.options.assetFolder === '') {
+			return Promise.resolve(null);
+		}
+		return assetPipeline.readAssetManifest(path.resolve(this.options.targetDir, ASSET_FOLDER))
+			.then((assetManifest) => assetManifest || assetPipeline.createAssetManifest(this.options.assetFolder,
+				this.options.assetFilter, this.options.fingerprintAssets.hashLength));
+	}
+
+	/**
+	 * Returns the directory and the glob patterns of the assets which are synced
+	 * either the assetFolder or the fingerprinted assets inside the targetDir
+	 * @returns {Object} { cwd, globs }
+	 */
+	_getAssetSource() {
+		if (this.options.fingerprintAssets) {
+			return {
+				cwd: path.resolve(this.options.targetDir, ASSET_FOLDER),
+				globs: ['**/*', `!${assetPipeline.ASSET_MANIFEST_FILE}`],
+			};
+		}
+		return { cwd: this.options.assetFolder, globs: this.options.assetFilter };
+	}
+
+	/**
+	 * Syncs assets like images to the sync target
 	 * @returns {Promise} sync promise
 	 */
 	_syncAssets() {
-		assert(typeof this.options.frontifyOptions === 'object', 'Please specifiy the frontify options');
-		assert(this.options.frontifyOptions.access_token, 'Please specify a frontify token');
 		if (this.options.assetFolder === '') {
 			return Promise.resolve([]);
 		}
-		return frontifyApi.syncAssets(_.extend({
-			cwd: this.options.assetFolder,
-		}, this.options.frontifyOptions), this.options.assetFilter);
+		const assetSource = this._getAssetSource();
+		return this._syncFiles('assets', assetSource.cwd, assetSource.globs,
+			(files) => this.syncTarget.syncAssets(assetSource.cwd, files));
+	}
+
+	/**
+	 * Lists all pattern.json files and their variations which would be synced to frontify
+	 * @returns {Promise<Array>} component plan
+	 */
+	_getComponentPlan() {
+		return this._getPatternFilesToSync()
+			.then((patternFiles) => this._readPatterns(patternFiles))
+			.then((patterns) => patterns.map((pattern) => ({
+				file: pattern.file,
+				name: pattern.data.name,
+				type: pattern.data.type,
+				variations: _.values(pattern.data.variations).map((variation) => ({
+					name: variation.name,
+					assets: variation.assets,
+				})),
+			})));
+	}
+
+	/**
+	 * Reads the generated pattern.json files from the targetDir
+	 * @param {Array<string>} patternFiles glob patterns relative to the targetDir
+	 * @returns {Promise<Array>} the file names and the parsed pattern data
+	 */
+	_readPatterns(patternFiles) {
+		const targetDir = this.options.targetDir;
+		return globby(patternFiles, { cwd: targetDir })
+			.then((files) => Promise.all(files.sort().map((file) =>
+				fsReadFile(path.resolve(targetDir, file)).then((content) => ({
+					file,
+					data: JSON.parse(content.toString()),
+				}))
+			)));
+	}
+
+	/**
+	 * Lists all assets which would be synced to frontify
+	 * @returns {Promise<Array>} asset plan
+	 */
+	_getAssetPlan() {
+		if (this.options.assetFolder === '') {
+			return Promise.resolve([]);
+		}
+		const assetSource = this._getAssetSource();
+		return globby(assetSource.globs, { cwd: assetSource.cwd, nodir: true })
+			.then((files) => files.sort().map((file) => ({
+				file,
+				type: path.extname(file).substr(1),
+			})));
 	}
 
 }
 
 module.exports = NitroFrontifyDeployer;
+module.exports.errors = errors;
+module.exports.syncTargets = syncTargets;
+module.exports.reporters = reporters;
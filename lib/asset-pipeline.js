@@ -0,0 +1,147 @@
+'use strict';
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const denodeify = require('denodeify');
+const globby = require('globby');
+const _ = require('lodash');
+const htmlPipeline = require('./html-pipeline');
+const mkdirp = denodeify(require('mkdirp'));
+const rimraf = denodeify(require('rimraf'));
+const fsReadFile = denodeify(fs.readFile);
+const fsWriteFile = denodeify(fs.writeFile);
+
+// The manifest file name inside the fingerprinted asset folder
+const ASSET_MANIFEST_FILE = 'asset-manifest.json';
+// The pattern.json fields of patterns and variations which contain free text e.g. the rendered documentation
+const CONTENT_FIELDS = ['description'];
+// Urls with a protocol or a host e.g. 'https://cdn.example.com/library.css' or '//cdn.example.com/library.css'
+const ABSOLUTE_URL_REGEXP = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+// The urls of css url() functions e.g. inside style attributes
+const CSS_URL_REGEXP = /(url\(\s*["']?)([^"')\s]+)/g;
+
+/**
+ * Adds the content hash to the file name e.g. 'css/library.css' -> 'css/library.1a2b3c4d.css'
+ * @param {string} file The file name relative to the asset folder
+ * @param {Buffer} content The file content
+ * @param {number} hashLength The number of hash characters
+ * @returns {string} fingerprinted file name
+ */
+function fingerprint(file, content, hashLength) {
+	const hash = crypto.createHash('md5').update(content)
+		.digest('hex')
+		.substr(0, hashLength);
+	const extension = path.posix.extname(file);
+	return `${file.substr(0, file.length - extension.length)}.${hash}${extension}`;
+}
+
+/**
+ * Hashes all assets which match the filter
+ * @param {string} assetFolder The asset source folder
+ * @param {Array<string>} assetFilter glob patterns relative to the asset folder
+ * @param {number} hashLength The number of hash characters
+ * @returns {Promise<Object>} asset manifest e.g. { 'css/library.css': 'css/library.1a2b3c4d.css' }
+ */
+function createAssetManifest(assetFolder, assetFilter, hashLength) {
+	return globby(assetFilter, { cwd: assetFolder, nodir: true })
+		.then((files) => Promise.all(files.sort().map((file) => fsReadFile(path.resolve(assetFolder, file))
+			.then((content) => [file, fingerprint(file, content, hashLength)]))))
+		.then((assets) => _.fromPairs(assets));
+}
+
+/**
+ * Copies the assets of the manifest with their fingerprinted names into the output folder
+ * and writes the manifest next to them
+ * Previously fingerprinted assets are removed
+ * @param {string} assetFolder The asset source folder
+ * @param {string} outputFolder The folder of the fingerprinted assets
+ * @param {Object} assetManifest The asset manifest
+ * @returns {Promise} write promise
+ */
+function writeAssets(assetFolder, outputFolder, assetManifest) {
+	return rimraf(outputFolder)
+		.then(() => Promise.all(Object.keys(assetManifest).map((file) => {
+			const outputFile = path.resolve(outputFolder, assetManifest[file]);
+			return Promise.all([fsReadFile(path.resolve(assetFolder, file)), mkdirp(path.dirname(outputFile))])
+				.then((results) => fsWriteFile(outputFile, results[0]));
+		})))
+		.then(() => fsWriteFile(path.join(outputFolder, ASSET_MANIFEST_FILE), JSON.stringify(assetManifest, null, 2)));
+}
+
+/**
+ * Reads the manifest of the fingerprinted assets
+ * Resolves null if the assets weren't built yet
+ * @param {string} outputFolder The folder of the fingerprinted assets
+ * @returns {Promise<Object|null>} asset manifest
+ */
+function readAssetManifest(outputFolder) {
+	return fsReadFile(path.join(outputFolder, ASSET_MANIFEST_FILE))
+		.then((content) => JSON.parse(content.toString()))
+		.catch(() => null);
+}
+
+/**
+ * Replaces the asset file at the end of the url path with its fingerprinted name
+ * Urls with a host and urls which don't reference an asset are left untouched
+ * @param {string} url The url e.g. '/assets/css/library.css?v=1'
+ * @param {Object} assetManifest The asset manifest
+ * @returns {string} url
+ */
+function rewriteUrl(url, assetManifest) {
+	if (ABSOLUTE_URL_REGEXP.test(url)) {
+		return url;
+	}
+	const urlPath = url.split(/[?#]/)[0];
+	// Longer file names first e.g. 'css/library.css' before 'library.css'
+	const files = _.sortBy(Object.keys(assetManifest), (file) => -file.length);
+	const file = _.find(files, (assetFile) => urlPath === assetFile || _.endsWith(urlPath, `/${assetFile}`));
+	if (file === undefined) {
+		return url;
+	}
+	return urlPath.substr(0, urlPath.length - file.length) + assetManifest[file] + url.substr(urlPath.length);
+}
+
+/**
+ * Replaces the references to assets with their fingerprinted names
+ * Only the url attributes e.g. src and href and css url() functions are rewritten
+ * A reference has to end with the full file name relative to the asset folder
+ * e.g. '/assets/css/library.css?v=1' -> '/assets/css/library.1a2b3c4d.css?v=1'
+ * @param {string} content e.g. the compiled html
+ * @param {Object} assetManifest The asset manifest
+ * @returns {string} content
+ */
+function rewriteReferences(content, assetManifest) {
+	if (_.isEmpty(assetManifest)) {
+		return content;
+	}
+	const rewrite = (url) => rewriteUrl(url, assetManifest);
+	return htmlPipeline.rewriteUrls(content, rewrite)
+		.replace(CSS_URL_REGEXP, (match, start, url) => start + rewrite(url));
+}
+
+/**
+ * Replaces the references to assets inside the content fields of a pattern.json and its variations
+ * e.g. images inside the description - paths like the variation assets are left untouched
+ * @param {Object} data The pattern.json data
+ * @param {Object} assetManifest The asset manifest
+ * @returns {Object} a copy of the data
+ */
+function rewriteDataReferences(data, assetManifest) {
+	const rewriteContentFields = (fieldData) => _.extend({}, fieldData, _.mapValues(
+		_.pickBy(_.pick(fieldData, CONTENT_FIELDS), _.isString),
+		(value) => rewriteReferences(value, assetManifest)));
+	const result = rewriteContentFields(data);
+	if (data.variations) {
+		result.variations = _.mapValues(data.variations, rewriteContentFields);
+	}
+	return result;
+}
+
+module.exports = {
+	ASSET_MANIFEST_FILE,
+	createAssetManifest,
+	writeAssets,
+	readAssetManifest,
+	rewriteReferences,
+	rewriteDataReferences,
+};
@@ -0,0 +1,143 @@
+'use strict';
+const _ = require('lodash');
+
+// Network error codes of requests which may succeed if they are repeated
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+/**
+ * Resolves after the given time
+ * @param {number} milliseconds The time to wait
+ * @returns {Promise} timeout promise
+ */
+function delay(milliseconds) {
+	return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Creates a function which runs at most `concurrency` tasks at the same time
+ * Additional tasks are queued until a running task is done
+ * @param {number} concurrency The maximal amount of parallel tasks
+ * @returns {Function} limit(task) which resolves with the result of the task
+ */
+function createLimiter(concurrency) {
+	const queue = [];
+	let running = 0;
+	const next = () => {
+		if (running >= concurrency || queue.length === 0) {
+			return;
+		}
+		const item = queue.shift();
+		running++;
+		Promise.resolve()
+			.then(item.task)
+			.then(item.resolve, item.reject)
+			.then(() => {
+				running--;
+				next();
+			});
+	};
+	return (task) => new Promise((resolve, reject) => {
+		queue.push({ task, resolve, reject });
+		next();
+	});
+}
+
+/**
+ * Tells whether a failed task may succeed if it is repeated
+ * e.g. server errors (5xx), rate limits (429) and network errors but not configuration or client errors (4xx)
+ * Errors can decide on their own with a boolean `retryable` property
+ * @param {Error} error The error of the task
+ * @returns {boolean} true if the task should be retried
+ */
+function isTransientError(error) {
+	if (typeof error.retryable === 'boolean') {
+		return error.retryable;
+	}
+	if (typeof error.statusCode === 'number') {
+		return error.statusCode === 408 || error.statusCode === 429 || error.statusCode >= 500;
+	}
+	return TRANSIENT_ERROR_CODES.indexOf(error.code) !== -1;
+}
+
+/**
+ * Runs the task and retries it with an exponential backoff if it fails with a transient error
+ * e.g. retryDelay 1000 waits 1s, 2s, 4s, ... between the attempts
+ * @param {Function} task A function which returns a promise
+ * @param {Object} options The sync options
+ * @param {number} options.retries How often a failed task is repeated
+ * @param {number} options.retryDelay The wait time before the first retry in milliseconds
+ * @param {number} options.maxRetryDelay The maximal wait time between two attempts in milliseconds
+ * @returns {Promise<Object>} { attempts, duration, result } or { attempts, duration, error } if all attempts failed
+ */
+function retry(task, options) {
+	const start = Date.now();
+	const attempt = (attempts) => Promise.resolve()
+		.then(task)
+		.then((result) => ({ attempts, duration: Date.now() - start, result }))
+		.catch((error) => {
+			if (attempts > options.retries || !isTransientError(error)) {
+				return { attempts, duration: Date.now() - start, error };
+			}
+			return delay(Math.min(options.retryDelay * Math.pow(2, attempts - 1), options.maxRetryDelay))
+				.then(() => attempt(attempts + 1));
+		});
+	return attempt(1);
+}
+
+/**
+ * Splits the files into batches of `batchSize` files - 0 puts all files into a single batch
+ * @param {Array<string>} files The files to sync
+ * @param {number} batchSize The maximal amount of files per batch
+ * @returns {Array<Array<string>>} batches
+ */
+function createBatches(files, batchSize) {
+	if (files.length === 0) {
+		return [];
+	}
+	return batchSize > 0 ? _.chunk(files, batchSize) : [files];
+}
+
+/**
+ * Syncs the files batch by batch
+ * A failed batch is retried and does not stop the other batches
+ * @param {Array<string>} files The files to sync
+ * @param {Function} syncBatch A function which syncs the given files and returns a promise
+ * @param {Object} options The sync options e.g. { batchSize: 10, retries: 3, retryDelay: 1000 }
+ * @param {Function} [options.onBatch] Called with the files, attempts, duration and result or error
+ *   of every finished batch
+ * @param {Function} limit The concurrency limit created by `createLimiter()`
+ * @returns {Promise<Object>} report of the succeeded and failed files
+ */
+function syncBatches(files, syncBatch, options, limit) {
+	const batches = createBatches(files, options.batchSize);
+	return Promise.all(batches.map((batch) => limit(() => retry(() => syncBatch(batch), options))
+		.then((retryResult) => {
+			const batchResult = _.extend({ files: batch }, retryResult);
+			(options.onBatch || _.noop)(batchResult);
+			return batchResult;
+		})))
+		.then((batchResults) => {
+			const succeeded = batchResults.filter((batchResult) => !batchResult.error);
+			const failed = batchResults.filter((batchResult) => batchResult.error);
+			return {
+				succeeded: _.flatten(succeeded.map((batchResult) => batchResult.files)),
+				failed: _.flatten(failed.map((batchResult) => batchResult.files)),
+				results: _.flatten(succeeded.map((batchResult) => batchResult.result)),
+				batches: batchResults.map((batchResult) => ({
+					files: batchResult.files,
+					attempts: batchResult.attempts,
+					duration: batchResult.duration,
+					error: batchResult.error ? batchResult.error.message : undefined,
+				})),
+				errors: failed.map((batchResult) => batchResult.error),
+			};
+		});
+}
+
+module.exports = {
+	createLimiter,
+	isTransientError,
+	retry,
+	createBatches,
+	syncBatches,
+};
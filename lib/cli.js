@@ -0,0 +1,319 @@
+'use strict';
+const path = require('path');
+const fs = require('fs');
+const _ = require('lodash');
+const minimist = require('minimist');
+const errors = require('./errors');
+const validationReport = require('./validation-report');
+const patternDiff = require('./pattern-diff');
+const reporters = require('./reporters');
+const NitroFrontifyDeployer = require('../index.js');
+
+const CONFIG_FILES = ['frontify-deployer.config.js', 'frontify-deployer.config.json'];
+// Options which hold a path and are therefore resolved relative to the config file
+const PATH_OPTIONS = ['rootDirectory', 'targetDir', 'assetFolder'];
+// Flags which don't take a value
+const BOOLEAN_FLAGS = ['dry-run', 'watch', 'fingerprint-assets'];
+// Flags which are used by the cli itself and are no config overrides
+const CLI_FLAGS = ['_', 'config', 'help', 'report', 'report-file', 'port'];
+
+const REPORT_FORMATS = {
+	json: validationReport.toJSON,
+	junit: validationReport.toJUnit,
+};
+
+const EXIT_CODES = {
+	SUCCESS: 0,
+	ERROR: 1,
+	VALIDATION_ERROR: 2,
+	TEMPLATE_COMPILE_ERROR: 3,
+	SYNC_ERROR: 4,
+};
+
+const USAGE = `Usage: nitro-frontify-deployer <command> [options]
+
+Commands:
+  validate   Validate all components
+  build      Validate and build all components into the targetDir
+  deploy     Validate, build and sync all components to frontify
+  diff       Compare the components with the published patterns
+  preview    Validate and build all components and serve a local preview
+  clean      Remove the targetDir
+
+Options:
+  --dry-run         Print what would be deployed without calling frontify
+  --watch           Rebuild (build) or redeploy (deploy) changed components
+  --port <port>     The preview server port (preview)
+  --reporter <name> Print the progress as console text or json lines to stderr
+  --report <format> Print the validation report as json or junit (validate)
+  --report-file <f> Write the validation report into a file instead (validate)
+  --config <file>   Path to the config file
+                    (default: ${CONFIG_FILES.join(' or ')})
+  --<option> <val>  Override a config option e.g. --target-dir dist
+                    or --frontify-options.project 12345
+  --help            Show this help
+`;
+
+/**
+ * Lists the components which were skipped because of the continueOnError build option
+ * @param {Array<Object>} failed The skipped components e.g. [{ component: 'atoms/button', message }]
+ * @returns {string} text
+ */
+function formatSkipped(failed) {
+	return failed.map((skipped) => `\n  Skipped "${skipped.component}": ${skipped.message}`).join('');
+}
+
+/**
+ * Formats the result of every deploy target or the result of the single deployer
+ * @param {Object} result The result of `build()` or `deploy()`
+ * @param {Function} formatResult Formats a single result
+ * @returns {string} text
+ */
+function formatResults(result, formatResult) {
+	if (result.targets) {
+		return result.targets.map((targetResult) => `${targetResult.name}: ${formatResult(targetResult)}`).join('\n');
+	}
+	return formatResult(result);
+}
+
+const commands = {
+	validate: (deployer, argv, io) => {
+		if (!argv.report) {
+			return deployer.validateComponents()
+				.then(() => 'All components are valid');
+		}
+		const formatReport = REPORT_FORMATS[argv.report];
+		if (!formatReport) {
+			throw new Error(`Unknown report format "${argv.report}" - use ${Object.keys(REPORT_FORMATS).join(' or ')}`);
+		}
+		return deployer.getValidationReport().then((report) => {
+			const reportFile = argv['report-file'];
+			if (reportFile) {
+				fs.writeFileSync(path.resolve(io.cwd, reportFile), formatReport(report));
+			} else {
+				io.stdout.write(`${formatReport(report)}\n`);
+			}
+			if (!report.valid) {
+				throw new errors.ValidationReportError(report);
+			}
+			return reportFile ? 'All components are valid' : undefined;
+		});
+	},
+	build: (deployer) => deployer.build()
+		.then((result) => formatResults(result, (targetResult) => {
+			const targetDir = path.join(deployer.options.targetDir, targetResult.name || '');
+			const skipped = formatSkipped(targetResult.failed);
+			return `Built ${targetResult.components.length} components into "${targetDir}"${skipped}`;
+		})),
+	deploy: (deployer) => deployer.deploy()
+		.then((result) => {
+			if (deployer.options.dryRun) {
+				return JSON.stringify(result, null, 2);
+			}
+			return formatResults(result, (targetResult) => {
+				const counts = `${targetResult.components.length} patterns and ${targetResult.assets.length} assets`;
+				return `Deployed ${counts}${formatSkipped(targetResult.failed)}`;
+			});
+		}),
+	diff: (deployer) => deployer.diff()
+		.then((result) => {
+			if (result.targets) {
+				return result.targets.map((targetResult) => `${targetResult.name}: ${patternDiff.toText(targetResult)}`)
+					.join('\n');
+			}
+			return patternDiff.toText(result);
+		}),
+	preview: (deployer, argv) => deployer.build()
+		.then(() => deployer.preview({ port: argv.port }))
+		.then((server) => formatResults(server, (targetServer) => `Preview running at ${targetServer.url}`)),
+	clean: (deployer) => deployer.clean()
+		.then(() => `Removed "${deployer.options.targetDir}"`),
+};
+
+/**
+ * Returns the absolute path of the config file
+ * @param {string} cwd The working directory
+ * @param {string} [configFile] The config file passed by the user
+ * @returns {string} configPath
+ */
+function findConfigFile(cwd, configFile) {
+	if (configFile) {
+		const configPath = path.resolve(cwd, configFile);
+		if (!fs.existsSync(configPath)) {
+			throw new Error(`Config file "${configPath}" does not exist`);
+		}
+		return configPath;
+	}
+	const configPath = CONFIG_FILES
+		.map((fileName) => path.resolve(cwd, fileName))
+		.find((fileName) => fs.existsSync(fileName));
+	if (!configPath) {
+		throw new Error(`Please create a ${CONFIG_FILES.join(' or ')} file or pass --config`);
+	}
+	return configPath;
+}
+
+/**
+ * Resolves all path options and module references relative to the given directory
+ * @param {Object} config The raw config
+ * @param {string} baseDir The directory to resolve relative paths from
+ * @returns {Object} config
+ */
+function resolveConfigPaths(config, baseDir) {
+	const result = _.clone(config);
+	PATH_OPTIONS
+		.filter((option) => typeof result[option] === 'string')
+		.forEach((option) => {
+			result[option] = path.resolve(baseDir, result[option]);
+		});
+	// JSON configs can't contain functions - therefore they may reference a module
+	// which exports the compiler function e.g. "./compiler.js" or { ".twig": "./twig-compiler.js" }
+	const requireCompiler = (compiler) => {
+		if (typeof compiler !== 'string') {
+			return compiler;
+		}
+		const compilerModule = compiler[0] === '.' ? path.resolve(baseDir, compiler) : compiler;
+		return require(compilerModule); // eslint-disable-line global-require
+	};
+	if (result.compiler !== undefined) {
+		result.compiler = _.isPlainObject(result.compiler)
+			? _.mapValues(result.compiler, requireCompiler)
+			: requireCompiler(result.compiler);
+	}
+	return result;
+}
+
+/**
+ * Converts the parsed cli flags into config options
+ * e.g. --target-dir -> targetDir
+ * @param {Object} argv The minimist result
+ * @returns {Object} config overrides
+ */
+function getConfigOverrides(argv) {
+	// Missing boolean flags are false and must not override the config file
+	const missingFlags = BOOLEAN_FLAGS.filter((flag) => !argv[flag]);
+	const flags = _.omit(argv, CLI_FLAGS.concat(missingFlags));
+	return _.mapKeys(flags, (value, key) => _.camelCase(key));
+}
+
+/**
+ * Loads the config file and applies the cli overrides
+ * @param {Object} argv The minimist result
+ * @param {string} cwd The working directory
+ * @returns {Object} config
+ */
+function loadConfig(argv, cwd) {
+	const configPath = findConfigFile(cwd, argv.config);
+	const rawConfig = require(configPath); // eslint-disable-line global-require
+	const config = resolveConfigPaths(rawConfig, path.dirname(configPath));
+	const overrides = resolveConfigPaths(getConfigOverrides(argv), cwd);
+	return _.merge({}, config, overrides);
+}
+
+/**
+ * Creates the deployer and writes the progress of built-in reporters to the given stream
+ * @param {Object} config The config
+ * @param {Object} io The output streams
+ * @returns {NitroFrontifyDeployer} deployer
+ */
+function createDeployer(config, io) {
+	if (typeof config.reporter === 'string') {
+		config = _.extend({}, config, { reporter: reporters.createReporter(config.reporter, io.stderr) });
+	}
+	return new NitroFrontifyDeployer(config);
+}
+
+/**
+ * Rebuilds and optionally syncs every changed component until the process is stopped
+ * @param {NitroFrontifyDeployer} deployer The deployer instance
+ * @param {string} commandName The cli command e.g. 'build'
+ * @param {Object} io The output streams
+ * @returns {Promise<Object>} watcher
+ */
+function startWatching(deployer, commandName, io) {
+	return deployer.watch({
+		sync: commandName === 'deploy',
+		onChange: (result) => {
+			const formatResult = (targetResult) => `Rebuilt ${targetResult.components.join(', ') || 'nothing'}`;
+			const output = result.targets
+				? result.targets.map((targetResult) => `${targetResult.name}: ${formatResult(targetResult)}`).join('\n')
+				: formatResult(result);
+			io.stdout.write(`${output}\n`);
+		},
+		onError: (error) => io.stderr.write(`${error.name}: ${error.message}\n`),
+	}).then((watcher) => {
+		io.stdout.write('Watching for changes...\n');
+		return watcher;
+	});
+}
+
+/**
+ * Maps an error to the process exit code
+ * @param {Error} error The error
+ * @returns {number} exit code
+ */
+function getExitCode(error) {
+	return error instanceof errors.DeployerError ? EXIT_CODES[error.code] : EXIT_CODES.ERROR;
+}
+
+/**
+ * Lists the files which could not be synced e.g. to resend them later
+ * @param {SyncError} error The sync error
+ * @returns {string} text
+ */
+function formatFailedFiles(error) {
+	return _.map(error.report, (kindReport, kind) => kindReport.failed
+		.map((file) => `  Failed to sync ${kind.replace(/s$/, '')} "${file}"\n`)
+		.join(''))
+		.join('');
+}
+
+/**
+ * Runs the cli
+ * @param {Array<string>} args The cli arguments e.g. process.argv.slice(2)
+ * @param {Object} [io] Optional streams and working directory
+ * @returns {Promise<number>} exit code
+ */
+function run(args, io) {
+	io = _.defaults({}, io, {
+		cwd: process.cwd(),
+		stdout: process.stdout,
+		stderr: process.stderr,
+	});
+	const argv = minimist(args, {
+		string: ['config', 'report', 'report-file', 'since'],
+		boolean: ['help'].concat(BOOLEAN_FLAGS),
+	});
+	const commandName = argv._[0];
+	if (argv.help || !commands[commandName]) {
+		(argv.help ? io.stdout : io.stderr).write(USAGE);
+		return Promise.resolve(argv.help ? EXIT_CODES.SUCCESS : EXIT_CODES.ERROR);
+	}
+	return Promise.resolve()
+		.then(() => createDeployer(loadConfig(argv, io.cwd), io))
+		.then((deployer) => commands[commandName](deployer, argv, io)
+			.then((message) => {
+				if (message) {
+					io.stdout.write(`${message}\n`);
+				}
+				if (argv.watch && (commandName === 'build' || commandName === 'deploy')) {
+					return startWatching(deployer, commandName, io);
+				}
+				return undefined;
+			}))
+		.then(() => EXIT_CODES.SUCCESS)
+		.catch((error) => {
+			const target = error.target ? `[${error.target}] ` : '';
+			io.stderr.write(`${target}${error.name}: ${error.message}\n`);
+			if (error instanceof errors.SyncError) {
+				io.stderr.write(formatFailedFiles(error));
+			}
+			return getExitCode(error);
+		});
+}
+
+module.exports = {
+	run,
+	loadConfig,
+	EXIT_CODES,
+};
@@ -0,0 +1,91 @@
+'use strict';
+const validationReport = require('./validation-report');
+
+/**
+ * Base class for all errors raised by the deployer
+ * The `code` property is used by the cli to pick the process exit code
+ */
+class DeployerError extends Error {
+	/**
+	 * @param {string} message The error message
+	 */
+	constructor(message) {
+		super(message);
+		this.name = this.constructor.name;
+		this.message = message;
+		Error.captureStackTrace(this, this.constructor);
+	}
+}
+
+/**
+ * Thrown if a component or its pattern.json is not valid
+ */
+class ValidationError extends DeployerError {
+	/**
+	 * @param {string} message The error message
+	 * @param {string} [file] The file which caused the error
+	 */
+	constructor(message, file) {
+		super(message);
+		this.code = 'VALIDATION_ERROR';
+		this.file = file;
+	}
+}
+
+/**
+ * Thrown if the validation of all components found at least one problem
+ */
+class ValidationReportError extends ValidationError {
+	/**
+	 * @param {Object} report The validation report
+	 */
+	constructor(report) {
+		super(validationReport.toText(report));
+		this.report = report;
+		// A report which only contains broken templates is treated like a failed compilation
+		if (report.problems.every((problem) => problem.type === 'template')) {
+			this.code = 'TEMPLATE_COMPILE_ERROR';
+		}
+	}
+}
+
+/**
+ * Thrown if an example template could not be compiled or executed
+ */
+class TemplateCompileError extends DeployerError {
+	/**
+	 * @param {string} templateSrc The template source file e.g. /a/path/file.hbs
+	 * @param {Error} originalError The error thrown by the compiler
+	 */
+	constructor(templateSrc, originalError) {
+		super(`"${templateSrc}" ${originalError.message}`);
+		this.code = 'TEMPLATE_COMPILE_ERROR';
+		this.file = templateSrc;
+		this.originalError = originalError;
+	}
+}
+
+/**
+ * Thrown if the build result could not be transmitted
+ */
+class SyncError extends DeployerError {
+	/**
+	 * @param {Error} originalError The error thrown during the sync
+	 * @param {Object} [report] The succeeded and failed files per kind
+	 *   e.g. { patterns: { succeeded: [], failed: ['atoms/button/pattern.json'], batches: [] } }
+	 */
+	constructor(originalError, report) {
+		super(originalError.message);
+		this.code = 'SYNC_ERROR';
+		this.originalError = originalError;
+		this.report = report || {};
+	}
+}
+
+module.exports = {
+	DeployerError,
+	ValidationError,
+	ValidationReportError,
+	TemplateCompileError,
+	SyncError,
+};
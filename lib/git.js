@@ -0,0 +1,54 @@
+'use strict';
+const childProcess = require('child_process');
+const path = require('path');
+const _ = require('lodash');
+
+/**
+ * Runs a git command
+ * @param {string} cwd The working directory inside the git repository
+ * @param {Array<string>} args The git arguments e.g. ['diff', '--name-only', 'HEAD']
+ * @returns {Promise<string>} the output of the command
+ */
+function runGit(cwd, args) {
+	return new Promise((resolve, reject) => {
+		childProcess.execFile('git', args, { cwd, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+			if (error) {
+				reject(new Error(`"git ${args.join(' ')}" failed: ${(stderr || error.message).trim()}`));
+				return;
+			}
+			resolve(stdout.toString());
+		});
+	});
+}
+
+/**
+ * Splits the output of a git command into lines
+ * @param {string} output The output of a git command
+ * @returns {Array<string>} lines
+ */
+function toLines(output) {
+	return _.compact(output.split(/\r?\n/));
+}
+
+/**
+ * Returns all files which changed since the given ref including uncommitted and untracked files
+ * @param {string} cwd A directory inside the git repository
+ * @param {string} ref The git ref e.g. 'origin/master' or 'HEAD~1'
+ * @returns {Promise<Array<string>>} the absolute paths of the changed, added and deleted files
+ */
+function getChangedFiles(cwd, ref) {
+	return Promise.all([
+		runGit(cwd, ['rev-parse', '--show-toplevel']),
+		runGit(cwd, ['diff', '--name-only', ref, '--']),
+		runGit(cwd, ['ls-files', '--others', '--exclude-standard', '--full-name', '--', ':/']),
+	]).then((results) => {
+		const repositoryRoot = results[0].trim();
+		// Both commands print the file names relative to the repository root
+		return _.uniq(toLines(results[1]).concat(toLines(results[2])))
+			.map((file) => path.resolve(repositoryRoot, file));
+	});
+}
+
+module.exports = {
+	getChangedFiles,
+};
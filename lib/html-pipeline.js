@@ -0,0 +1,111 @@
+'use strict';
+const _ = require('lodash');
+const html = require('html');
+
+// The formatting of the compiled examples if no format option is set
+const DEFAULT_FORMAT = { indent: 2, unformatted: [] };
+// Attributes which reference urls and are changed by the rewriteUrls option
+const URL_ATTRIBUTES = ['src', 'href', 'poster', 'action'];
+// The placeholder of the wrapper option which is replaced with the compiled example
+const WRAPPER_PLACEHOLDER = '{{html}}';
+
+/**
+ * Escapes a string to be used inside a regular expression
+ * @param {string} value The string
+ * @returns {string} escaped string
+ */
+function escapeRegExp(value) {
+	return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Applies the replacer to every opening tag of the html
+ * @param {string} markup The html
+ * @param {Function} replacer Receives the tag e.g. '<div class="a">' and returns the new tag
+ * @returns {string} html
+ */
+function replaceTags(markup, replacer) {
+	return markup.replace(/<[a-zA-Z][^>]*>/g, replacer);
+}
+
+/**
+ * Removes the given attributes from all tags e.g. placeholders which are only used during development
+ * @param {string} markup The html
+ * @param {Array<string>} attributes The attribute names e.g. ['data-t-name']
+ * @returns {string} html
+ */
+function stripAttributes(markup, attributes) {
+	if (attributes.length === 0) {
+		return markup;
+	}
+	const attributeRegExp = new RegExp(`\\s+(?:${attributes.map(escapeRegExp).join('|')})` +
+		'(?:\\s*=\\s*(?:"[^"]*"|\'[^\']*\'|[^\\s"\'>]+))?(?=[\\s/>])', 'gi');
+	return replaceTags(markup, (tag) => tag.replace(attributeRegExp, ''));
+}
+
+/**
+ * Rewrites the urls of src and href attributes
+ * @param {string} markup The html
+ * @param {Object|Function} urlRewrites Url prefixes and their replacement e.g. { '/assets/': '../assets/' }
+ *   or a function which receives and returns the url
+ * @returns {string} html
+ */
+function rewriteUrls(markup, urlRewrites) {
+	const rewrite = typeof urlRewrites === 'function' ? urlRewrites : (url) => {
+		const prefix = _.find(Object.keys(urlRewrites), (urlPrefix) => url.indexOf(urlPrefix) === 0);
+		return prefix === undefined ? url : urlRewrites[prefix] + url.substr(prefix.length);
+	};
+	const urlRegExp = new RegExp(`(\\s(?:${URL_ATTRIBUTES.join('|')})\\s*=\\s*)(?:"([^"]*)"|'([^']*)')`, 'gi');
+	return replaceTags(markup, (tag) => tag.replace(urlRegExp, (match, attribute, doubleQuoted, singleQuoted) => {
+		const quote = doubleQuoted === undefined ? '\'' : '"';
+		return `${attribute}${quote}${rewrite(doubleQuoted === undefined ? singleQuoted : doubleQuoted)}${quote}`;
+	}));
+}
+
+/**
+ * Puts the html into the wrapper markup
+ * @param {string} markup The html
+ * @param {string} wrapper The wrapper e.g. '<div class="theme-dark">{{html}}</div>'
+ * @returns {string} html
+ */
+function wrap(markup, wrapper) {
+	return wrapper.split(WRAPPER_PLACEHOLDER).join(markup);
+}
+
+/**
+ * Creates the pipeline which post-processes the compiled examples
+ * The transforms run in the following order:
+ * stripAttributes, rewriteUrls, custom transforms, wrapper and format
+ * @param {Object} options The htmlOutput options
+ * @param {Object|boolean} [options.format] The prettyPrint options of the html module - false keeps the output
+ * @param {Array<string>} [options.stripAttributes] Attributes which are removed e.g. ['data-t-name']
+ * @param {Object|Function} [options.rewriteUrls] Url prefixes and their replacement or a function
+ * @param {string} [options.wrapper] Wrapper markup with a {{html}} placeholder
+ * @param {Array<Function>} [options.transforms] Functions which receive the html and a context
+ *   ({ component, template }) and return the new html or a promise
+ * @returns {Function} pipeline(html, context) resolving the processed html
+ */
+function createPipeline(options) {
+	const settings = _.defaults({}, options, {
+		format: DEFAULT_FORMAT,
+		stripAttributes: [],
+		rewriteUrls: {},
+		wrapper: WRAPPER_PLACEHOLDER,
+		transforms: [],
+	});
+	const transforms = [
+		(markup) => stripAttributes(markup, settings.stripAttributes),
+		(markup) => rewriteUrls(markup, settings.rewriteUrls),
+	].concat(settings.transforms, [
+		(markup) => wrap(markup, settings.wrapper),
+		(markup) => (settings.format ? html.prettyPrint(markup, _.defaults({}, settings.format, DEFAULT_FORMAT)) : markup),
+	]);
+	return (markup, context) => transforms.reduce((previous, transform) => previous
+		.then((processed) => transform(processed, context)), Promise.resolve(markup));
+}
+
+module.exports = {
+	createPipeline,
+	stripAttributes,
+	rewriteUrls,
+};
@@ -0,0 +1,107 @@
+'use strict';
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const denodeify = require('denodeify');
+const mkdirp = denodeify(require('mkdirp'));
+const fsReadFile = denodeify(fs.readFile);
+const fsWriteFile = denodeify(fs.writeFile);
+
+// The manifest file name inside the targetDir
+const MANIFEST_FILE = 'frontify-deployer-manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Returns an empty manifest
+ * @returns {Object} manifest
+ */
+function createManifest() {
+	return {
+		version: MANIFEST_VERSION,
+		components: {},
+	};
+}
+
+/**
+ * Reads a manifest file
+ * Resolves an empty manifest if the file does not exist or is outdated
+ * @param {string} file The manifest file
+ * @returns {Promise<Object>} manifest
+ */
+function readManifestFile(file) {
+	return fsReadFile(file)
+		.then((content) => JSON.parse(content.toString()))
+		.then((manifest) => (manifest.version === MANIFEST_VERSION ? manifest : createManifest()))
+		.catch(() => createManifest());
+}
+
+/**
+ * Writes a manifest file
+ * @param {string} file The manifest file
+ * @param {Object} manifest The manifest
+ * @returns {Promise} write promise
+ */
+function writeManifestFile(file, manifest) {
+	return mkdirp(path.dirname(file))
+		.then(() => fsWriteFile(file, JSON.stringify(manifest, null, 2)));
+}
+
+/**
+ * Reads the build manifest from the given directory
+ * @param {string} targetDir The directory which contains the manifest
+ * @returns {Promise<Object>} manifest
+ */
+function readManifest(targetDir) {
+	return readManifestFile(path.join(targetDir, MANIFEST_FILE));
+}
+
+/**
+ * Writes the build manifest into the given directory
+ * @param {string} targetDir The directory which contains the manifest
+ * @param {Object} manifest The manifest
+ * @returns {Promise} write promise
+ */
+function writeManifest(targetDir, manifest) {
+	return writeManifestFile(path.join(targetDir, MANIFEST_FILE), manifest);
+}
+
+/**
+ * Generates a single content hash for all given files
+ * The file names are part of the hash so renaming a file changes the hash
+ * @param {string} baseDir The directory the file names are relative to
+ * @param {Array<string>} files The relative file names
+ * @returns {Promise<string>} hash
+ */
+function hashFiles(baseDir, files) {
+	const sortedFiles = files.slice().sort();
+	return Promise.all(sortedFiles.map((file) => fsReadFile(path.resolve(baseDir, file))))
+		.then((contents) => {
+			const hash = crypto.createHash('md5');
+			contents.forEach((content, i) => {
+				hash.update(sortedFiles[i].replace(/\\/g, '/'));
+				hash.update(content);
+			});
+			return hash.digest('hex');
+		});
+}
+
+/**
+ * Generates a hash of the serializable options - functions are left out
+ * @param {Object} options The options which influence the build output
+ * @returns {string} hash
+ */
+function hashOptions(options) {
+	return crypto.createHash('md5').update(JSON.stringify(options) || '')
+		.digest('hex');
+}
+
+module.exports = {
+	MANIFEST_FILE,
+	createManifest,
+	readManifestFile,
+	writeManifestFile,
+	readManifest,
+	writeManifest,
+	hashFiles,
+	hashOptions,
+};
@@ -0,0 +1,142 @@
+'use strict';
+const _ = require('lodash');
+
+// The stability levels from the least to the most stable one
+const STABILITY_LEVELS = ['deprecated', 'experimental', 'unstable', 'stable', 'frozen', 'locked'];
+// Pattern properties which are compared separately (variations) or reference build files
+// which are renamed by the sync targets (assets)
+const PATTERN_IGNORED_FIELDS = ['variations', 'assets'];
+// Variation properties which reference build files
+const VARIATION_IGNORED_FIELDS = ['assets', 'thumbnail'];
+
+/**
+ * Compares the given fields of the published and the local data
+ * @param {Object} published The published data
+ * @param {Object} local The local data
+ * @param {Array<string>} fields The fields to compare
+ * @returns {Array<Object>} changes e.g. [{ field: 'stability', from: 'stable', to: 'experimental', downgrade: true }]
+ */
+function compareFields(published, local, fields) {
+	return fields.slice().sort()
+		.filter((field) => !_.isEqual(published[field], local[field]))
+		.map((field) => {
+			const change = { field, from: published[field], to: local[field] };
+			if (field === 'stability' && published[field] && local[field]) {
+				change.downgrade = STABILITY_LEVELS.indexOf(local[field]) < STABILITY_LEVELS.indexOf(published[field]);
+			}
+			return change;
+		});
+}
+
+/**
+ * Returns the fields which are compared - all fields of both sides unless the source only knows some of them
+ * @param {Object} published The published data
+ * @param {Object} local The local data
+ * @param {Array<string>} [knownFields] The fields the published source knows
+ * @param {Array<string>} ignoredFields Fields which are never compared
+ * @returns {Array<string>} fields
+ */
+function getComparedFields(published, local, knownFields, ignoredFields) {
+	return _.difference(knownFields || _.union(Object.keys(published), Object.keys(local)), ignoredFields);
+}
+
+/**
+ * Compares the published and the local variations of a pattern
+ * @param {Object} published The published variations
+ * @param {Object} local The local variations
+ * @param {Array<string>} [knownFields] The variation fields the published source knows
+ * @returns {Object} the added, removed and modified variations
+ */
+function compareVariations(published, local, knownFields) {
+	const publishedNames = Object.keys(published);
+	const localNames = Object.keys(local);
+	return {
+		added: _.difference(localNames, publishedNames).sort(),
+		removed: _.difference(publishedNames, localNames).sort(),
+		modified: _.intersection(localNames, publishedNames).sort()
+			.map((variationName) => ({
+				variation: variationName,
+				changes: compareFields(published[variationName], local[variationName],
+					getComparedFields(published[variationName], local[variationName], knownFields, VARIATION_IGNORED_FIELDS)),
+			}))
+			.filter((variation) => variation.changes.length),
+	};
+}
+
+/**
+ * Compares the published patterns with the local patterns
+ * @param {Object} publishedPatterns The published pattern data by component id e.g. { 'atoms/button': {...} }
+ * @param {Object} localPatterns The local pattern data by component id
+ * @param {Object} [fields] The fields the published source knows e.g. { pattern: ['name'], variation: ['name'] }
+ *   all fields are compared by default
+ * @returns {Object} diff
+ */
+function createDiff(publishedPatterns, localPatterns, fields) {
+	const knownFields = fields || {};
+	const publishedIds = Object.keys(publishedPatterns);
+	const localIds = Object.keys(localPatterns);
+	const compared = _.intersection(localIds, publishedIds).sort().map((componentId) => {
+		const published = publishedPatterns[componentId];
+		const local = localPatterns[componentId];
+		return {
+			component: componentId,
+			changes: compareFields(published, local,
+				getComparedFields(published, local, knownFields.pattern, PATTERN_IGNORED_FIELDS)),
+			// Sources which don't know the variations can't report variation changes
+			variations: published.variations
+				? compareVariations(published.variations, local.variations || {}, knownFields.variation)
+				: { added: [], removed: [], modified: [] },
+		};
+	});
+	const isModified = (component) => component.changes.length || component.variations.added.length ||
+		component.variations.removed.length || component.variations.modified.length;
+	const added = _.difference(localIds, publishedIds).sort();
+	const removed = _.difference(publishedIds, localIds).sort();
+	const modified = compared.filter(isModified);
+	return {
+		changed: added.length + removed.length + modified.length > 0,
+		added,
+		removed,
+		modified,
+		unchanged: compared.filter((component) => !isModified(component)).map((component) => component.component),
+	};
+}
+
+/**
+ * Formats a field change e.g. 'stability: "stable" -> "experimental" (downgrade)'
+ * @param {Object} change The field change
+ * @returns {string} text
+ */
+function formatChange(change) {
+	const format = (value) => (value === undefined ? 'none' : JSON.stringify(value));
+	return `${change.field}: ${format(change.from)} -> ${format(change.to)}${change.downgrade ? ' (downgrade)' : ''}`;
+}
+
+/**
+ * Formats the diff as human readable text
+ * @param {Object} diff The diff
+ * @returns {string} text
+ */
+function toText(diff) {
+	if (!diff.changed) {
+		return 'No changes';
+	}
+	const lines = [];
+	diff.added.forEach((componentId) => lines.push(`  + ${componentId}`));
+	diff.removed.forEach((componentId) => lines.push(`  - ${componentId}`));
+	diff.modified.forEach((component) => {
+		lines.push(`  ~ ${component.component}`);
+		component.changes.forEach((change) => lines.push(`      ${formatChange(change)}`));
+		component.variations.added.forEach((variationName) => lines.push(`      + variation ${variationName}`));
+		component.variations.removed.forEach((variationName) => lines.push(`      - variation ${variationName}`));
+		component.variations.modified.forEach((variation) => variation.changes.forEach((change) =>
+			lines.push(`      ~ variation ${variation.variation} ${formatChange(change)}`)));
+	});
+	const count = diff.added.length + diff.removed.length + diff.modified.length;
+	return [`${count} component${count === 1 ? '' : 's'} changed:`].concat(lines).join('\n');
+}
+
+module.exports = {
+	createDiff,
+	toText,
+};
@@ -0,0 +1,189 @@
+'use strict';
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const url = require('url');
+const denodeify = require('denodeify');
+const _ = require('lodash');
+const mkdirp = denodeify(require('mkdirp'));
+const fsReadFile = denodeify(fs.readFile);
+const fsWriteFile = denodeify(fs.writeFile);
+
+const CONTENT_TYPES = {
+	'.html': 'text/html; charset=utf-8',
+	'.css': 'text/css; charset=utf-8',
+	'.js': 'application/javascript; charset=utf-8',
+};
+
+/**
+ * Escapes special html characters
+ * @param {string} value The raw value
+ * @returns {string} escaped value
+ */
+function escapeHtml(value) {
+	return String(value === undefined ? '' : value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders the overview page which lists all components grouped by their type
+ * @param {Array<Object>} groups The component types and their patterns
+ * @returns {string} html
+ */
+function renderIndexPage(groups) {
+	const sections = groups.map((group) => {
+		const items = group.patterns.map((pattern) => {
+			const variations = _.values(pattern.variations).map((variation) =>
+				`<li><a href="${escapeHtml(variation.assets.html[0])}">${escapeHtml(variation.name)}</a></li>`
+			);
+			return `<li>
+<h3>${escapeHtml(pattern.name)} <small>${escapeHtml(pattern.stability)}</small></h3>
+<p>${escapeHtml(pattern.description)}</p>
+<ul>${variations.join('')}</ul>
+</li>`;
+		});
+		return `<section>
+<h2>${escapeHtml(group.type)}</h2>
+<ul>${items.join('\n')}</ul>
+</section>`;
+	});
+	return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Component preview</title>
+</head>
+<body>
+<h1>Component preview</h1>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders a single variation including its stylesheets and scripts
+ * @param {Object} variation The variation of a generated pattern.json
+ * @param {Object} contents The html, css and js file contents
+ * @returns {string} html
+ */
+function renderVariationPage(variation, contents) {
+	const styles = contents.css.map((css) => `<style>\n${css}\n</style>`);
+	const scripts = contents.js.map((js) => `<script>\n${js}\n</script>`);
+	return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(variation.name)}</title>
+${styles.join('\n')}
+</head>
+<body>
+${contents.html.join('\n')}
+${scripts.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Groups the patterns by their type in the order of the given types
+ * @param {Array<Object>} patterns The generated pattern.json contents
+ * @param {Array<string>} types The known component types e.g. ['atom', 'molecule']
+ * @returns {Array<Object>} groups
+ */
+function groupPatterns(patterns, types) {
+	const patternsByType = _.groupBy(_.sortBy(patterns, 'name'), 'type');
+	return _.uniq(types.concat(Object.keys(patternsByType)))
+		.filter((type) => patternsByType[type])
+		.map((type) => ({ type, patterns: patternsByType[type] }));
+}
+
+/**
+ * Renders a standalone page of a variation from the build output
+ * Stylesheets and scripts are inlined the same way frontify does
+ * @param {string} targetDir The build directory which contains the variation files
+ * @param {Object} variation The variation of a generated pattern.json
+ * @returns {Promise<string>} html
+ */
+function renderVariation(targetDir, variation) {
+	const readFiles = (files) => Promise.all((files || [])
+		.map((file) => fsReadFile(path.resolve(targetDir, file)).then((content) => content.toString())));
+	return Promise.all([
+		readFiles(variation.assets.html),
+		readFiles(variation.assets.css),
+		readFiles(variation.assets.js),
+	]).then((contents) => renderVariationPage(variation, {
+		html: contents[0],
+		css: contents[1],
+		js: contents[2],
+	}));
+}
+
+/**
+ * Writes the overview page and one page per variation into the preview directory
+ * @param {string} targetDir The build directory which contains the variation files
+ * @param {string} previewDir The directory to write the preview pages into
+ * @param {Array<Object>} patterns The generated pattern.json contents
+ * @param {Array<string>} types The known component types e.g. ['atom', 'molecule']
+ * @returns {Promise} write promise
+ */
+function writePreview(targetDir, previewDir, patterns, types) {
+	const variations = _.flatten(patterns.map((pattern) => _.values(pattern.variations)));
+	return mkdirp(previewDir)
+		.then(() => fsWriteFile(path.join(previewDir, 'index.html'), renderIndexPage(groupPatterns(patterns, types))))
+		.then(() => Promise.all(variations.map((variation) => {
+			const pageFile = path.resolve(previewDir, variation.assets.html[0]);
+			return renderVariation(targetDir, variation)
+				.then((page) => mkdirp(path.dirname(pageFile))
+					.then(() => fsWriteFile(pageFile, page)));
+		})));
+}
+
+/**
+ * Starts a http server which serves the preview directory
+ * @param {string} previewDir The directory which contains the preview pages
+ * @param {number} port The port to listen on - 0 picks a free port
+ * @returns {Promise<Object>} the running http server
+ */
+function startServer(previewDir, port) {
+	const server = http.createServer((request, response) => {
+		let pathname;
+		try {
+			pathname = decodeURIComponent(url.parse(request.url).pathname);
+		} catch (decodeError) {
+			// e.g. '/%E0%A4%A'
+			response.writeHead(400);
+			response.end('Malformed url');
+			return;
+		}
+		const file = path.join(previewDir, pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+		// Never serve files outside of the preview directory
+		if (file.indexOf(previewDir + path.sep) !== 0) {
+			response.writeHead(403);
+			response.end();
+			return;
+		}
+		fs.readFile(file, (error, content) => {
+			if (error) {
+				response.writeHead(404);
+				response.end('Not found');
+				return;
+			}
+			response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+			response.end(content);
+		});
+	});
+	return new Promise((resolve, reject) => {
+		server.on('error', reject);
+		server.listen(port, () => resolve(server));
+	});
+}
+
+module.exports = {
+	renderVariation,
+	writePreview,
+	startServer,
+};
@@ -0,0 +1,97 @@
+'use strict';
+const assert = require('assert');
+const _ = require('lodash');
+
+// The progress events of a NitroFrontifyDeployer instance
+const EVENTS = [
+	'component:validated',
+	'example:compiled',
+	'component:built',
+	'component:failed',
+	'pattern:synced',
+	'asset:synced',
+	'deploy:done',
+	'error',
+];
+
+// Formats every event as a human readable line
+const CONSOLE_MESSAGES = {
+	'component:validated': (event) => (event.valid
+		? `validated ${event.component}`
+		: `invalid ${event.component} - ${event.problems.length} problem${event.problems.length === 1 ? '' : 's'}`),
+	'example:compiled': (event) => `compiled ${event.file}`,
+	'component:built': (event) => `built ${event.component}`,
+	'component:failed': (event) => `failed ${event.component} - ${event.message}`,
+	'pattern:synced': (event) => `synced pattern ${event.file}`,
+	'asset:synced': (event) => `synced asset ${event.file}`,
+	'deploy:done': (event) => `deployed ${event.patterns} patterns and ${event.assets} assets`,
+};
+
+/**
+ * Creates a reporter which writes one human readable line per event
+ * @param {Object} [stream] The output stream (default: process.stderr)
+ * @returns {Function} reporter(deployer)
+ */
+function createConsoleReporter(stream) {
+	const output = stream || process.stderr;
+	return (deployer) => {
+		_.forEach(CONSOLE_MESSAGES, (formatMessage, eventName) => {
+			deployer.on(eventName, (event) => {
+				output.write(`${formatMessage(event)} (${event.duration}ms)\n`);
+			});
+		});
+		deployer.on('error', (error) => {
+			output.write(`error ${error.name}: ${error.message}\n`);
+		});
+	};
+}
+
+/**
+ * Creates a reporter which writes every event as a single json line e.g. for log aggregation
+ * {"event":"pattern:synced","time":"2017-01-01T00:00:00.000Z","file":"atoms/button/pattern.json",...}
+ * @param {Object} [stream] The output stream (default: process.stderr)
+ * @returns {Function} reporter(deployer)
+ */
+function createJsonLinesReporter(stream) {
+	const output = stream || process.stderr;
+	const write = (eventName, data) => {
+		output.write(`${JSON.stringify(_.extend({ event: eventName, time: new Date().toISOString() }, data))}\n`);
+	};
+	return (deployer) => {
+		_.without(EVENTS, 'error').forEach((eventName) => {
+			deployer.on(eventName, (event) => write(eventName, event));
+		});
+		deployer.on('error', (error) => write('error', {
+			name: error.name,
+			code: error.code,
+			message: error.message,
+		}));
+	};
+}
+
+// The built-in reporters which can be configured by name e.g. { reporter: 'json' }
+const REPORTERS = {
+	console: createConsoleReporter,
+	json: createJsonLinesReporter,
+};
+
+/**
+ * Creates the reporter from the `reporter` config option
+ * @param {string|Function} reporter The name of a built-in reporter or a reporter(deployer) function
+ * @param {Object} [stream] The output stream of built-in reporters (default: process.stderr)
+ * @returns {Function} reporter(deployer)
+ */
+function createReporter(reporter, stream) {
+	if (typeof reporter === 'function') {
+		return reporter;
+	}
+	assert(REPORTERS[reporter], `Unknown reporter "${reporter}" - use ${Object.keys(REPORTERS).join(' or ')}`);
+	return REPORTERS[reporter](stream);
+}
+
+module.exports = {
+	EVENTS,
+	createReporter,
+	createConsoleReporter,
+	createJsonLinesReporter,
+};
@@ -0,0 +1,39 @@
+'use strict';
+const FileSyncTarget = require('./file-sync-target');
+
+/**
+ * Passes the patterns and assets to a function supplied in the config
+ * The function is called with the kind, the entries and the action ('write' or 'remove')
+ */
+class CustomSyncTarget extends FileSyncTarget {
+	/**
+	 * @param {Function} sync Called with the kind ('patterns' or 'assets'), the entries
+	 *   and the action ('write' or 'remove') - may return a promise
+	 */
+	constructor(sync) {
+		super();
+		this.sync = sync;
+	}
+
+	/**
+	 * Passes the entries to the sync function
+	 * @param {string} kind 'patterns' or 'assets'
+	 * @param {Array<Object>} entries The file names and their buffer contents
+	 * @returns {Promise} sync promise
+	 */
+	write(kind, entries) {
+		return Promise.resolve().then(() => this.sync(kind, entries, 'write'));
+	}
+
+	/**
+	 * Passes the removed pattern.json files to the sync function
+	 * @param {string} kind 'patterns'
+	 * @param {Array<string>} names The pattern.json file names
+	 * @returns {Promise} sync promise
+	 */
+	remove(kind, names) {
+		return Promise.resolve().then(() => this.sync(kind, names.map((name) => ({ name })), 'remove'));
+	}
+}
+
+module.exports = CustomSyncTarget;
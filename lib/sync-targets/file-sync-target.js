@@ -0,0 +1,137 @@
+'use strict';
+const path = require('path');
+const fs = require('fs');
+const denodeify = require('denodeify');
+const globby = require('globby');
+const _ = require('lodash');
+const fsReadFile = denodeify(fs.readFile);
+
+/**
+ * Returns the export name of a file referenced by a pattern.json
+ * Files outside of the build directory (e.g. variation assets) are moved into an `_external` folder
+ * @param {string} file The file path relative to the build directory e.g. '../assets/library.css'
+ * @returns {string} export name e.g. '_external/assets/library.css'
+ */
+function getExportName(file) {
+	const normalized = path.normalize(file).replace(/\\/g, '/');
+	return normalized.indexOf('../') === 0 ? `_external/${normalized.replace(/^(\.\.\/)+/, '')}` : normalized;
+}
+
+/**
+ * Reads a pattern.json file and all files referenced by the pattern and its variations
+ * @param {string} cwd The build directory
+ * @param {string} file The pattern.json file relative to the build directory
+ * @returns {Promise<Array>} entries
+ */
+function readPatternEntries(cwd, file) {
+	return fsReadFile(path.resolve(cwd, file)).then((content) => {
+		const pattern = JSON.parse(content.toString());
+		const references = {};
+		const exportReference = (reference) => {
+			const exportName = getExportName(reference);
+			references[exportName] = reference;
+			return exportName;
+		};
+		const exportAssets = (assets) => _.mapValues(assets, (files) => files.map(exportReference));
+		// e.g. the rendered documentation
+		if (pattern.assets) {
+			pattern.assets = exportAssets(pattern.assets);
+		}
+		_.forEach(pattern.variations, (variation) => {
+			variation.assets = exportAssets(variation.assets);
+			if (variation.thumbnail) {
+				variation.thumbnail = exportReference(variation.thumbnail);
+			}
+		});
+		return Promise.all(Object.keys(references).map((exportName) =>
+			fsReadFile(path.resolve(cwd, references[exportName]))
+				.then((referenceContent) => ({ name: exportName, content: referenceContent }))
+		)).then((referenceEntries) => [{
+			name: file,
+			content: new Buffer(JSON.stringify(pattern, null, 2)),
+		}].concat(referenceEntries));
+	});
+}
+
+/**
+ * Base class for sync targets which publish the build result as plain files
+ * Subclasses implement `write(kind, entries)` and optionally `read(kind, globs)`
+ */
+class FileSyncTarget {
+	/**
+	 * Publishes the pattern.json files and all files referenced by their variations
+	 * @param {string} cwd The directory the globs are relative to
+	 * @param {Array<string>} patternGlobs glob patterns of the pattern.json files
+	 * @returns {Promise<Array>} the synced pattern.json files
+	 */
+	syncPatterns(cwd, patternGlobs) {
+		return globby(patternGlobs, { cwd }).then((files) => {
+			const patternFiles = files.sort();
+			return Promise.all(patternFiles.map((file) => readPatternEntries(cwd, file)))
+				.then((entries) => this.write('patterns', _.uniqBy(_.flatten(entries), 'name')))
+				.then(() => patternFiles);
+		});
+	}
+
+	/**
+	 * Publishes the assets
+	 * @param {string} cwd The directory the globs are relative to
+	 * @param {Array<string>} assetGlobs glob patterns of the assets
+	 * @returns {Promise<Array>} the synced asset files
+	 */
+	syncAssets(cwd, assetGlobs) {
+		return globby(assetGlobs, { cwd, nodir: true }).then((files) => {
+			const assetFiles = files.sort();
+			return Promise.all(assetFiles.map((file) => fsReadFile(path.resolve(cwd, file))
+				.then((content) => ({ name: file, content }))))
+				.then((entries) => this.write('assets', entries))
+				.then(() => assetFiles);
+		});
+	}
+
+	/**
+	 * Removes previously published patterns including the files referenced by their variations
+	 * @param {string} cwd The build directory
+	 * @param {Array<string>} patternFiles The pattern.json files relative to the build directory
+	 * @returns {Promise<Array>} the removed pattern.json files
+	 */
+	removePatterns(cwd, patternFiles) {
+		return this.remove('patterns', patternFiles).then(() => patternFiles);
+	}
+
+	/**
+	 * Reads the currently published pattern.json files e.g. to compare them with the local build
+	 * Resolves null if the target can't read its published files (no `read(kind, globs)` implementation)
+	 * @returns {Promise<Object|null>} { patterns } the published pattern data by pattern.json file name
+	 */
+	getPublishedPatterns() {
+		if (typeof this.read !== 'function') {
+			return Promise.resolve(null);
+		}
+		return this.read('patterns', ['**/pattern.json']).then((entries) => ({
+			patterns: _.fromPairs(entries.map((entry) => [entry.name, JSON.parse(entry.content.toString())])),
+		}));
+	}
+
+	/**
+	 * Writes the entries to the target
+	 * @param {string} kind 'patterns' or 'assets'
+	 * @param {Array<Object>} entries The file names and their buffer contents
+	 * @returns {Promise} write promise
+	 */
+	write() {
+		return Promise.reject(new Error(`${this.constructor.name} has to implement write()`));
+	}
+
+	/**
+	 * Removes the given pattern.json files and their folders from the target
+	 * @param {string} kind 'patterns'
+	 * @param {Array<string>} names The pattern.json file names
+	 * @returns {Promise} remove promise
+	 */
+	remove() {
+		return Promise.reject(new Error(`${this.constructor.name} has to implement remove()`));
+	}
+}
+
+module.exports = FileSyncTarget;
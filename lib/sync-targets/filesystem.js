@@ -0,0 +1,65 @@
+'use strict';
+const assert = require('assert');
+const path = require('path');
+const fs = require('fs');
+const denodeify = require('denodeify');
+const globby = require('globby');
+const mkdirp = denodeify(require('mkdirp'));
+const rimraf = denodeify(require('rimraf'));
+const fsWriteFile = denodeify(fs.writeFile);
+const fsReadFile = denodeify(fs.readFile);
+const FileSyncTarget = require('./file-sync-target');
+
+/**
+ * Exports the patterns and assets into a local directory
+ * e.g. /a/path/patterns/atoms/button/pattern.json and /a/path/assets/library.css
+ */
+class FilesystemSyncTarget extends FileSyncTarget {
+	/**
+	 * @param {Object} options Sync target options
+	 * @param {string} options.directory The export directory
+	 */
+	constructor(options) {
+		super();
+		assert(options.directory, 'Please specify the export directory e.g. { type: "filesystem", directory: "/a/path" }');
+		this.directory = options.directory;
+	}
+
+	/**
+	 * Writes the entries into the export directory
+	 * @param {string} kind 'patterns' or 'assets'
+	 * @param {Array<Object>} entries The file names and their buffer contents
+	 * @returns {Promise} write promise
+	 */
+	write(kind, entries) {
+		return Promise.all(entries.map((entry) => {
+			const file = path.resolve(this.directory, kind, entry.name);
+			return mkdirp(path.dirname(file)).then(() => fsWriteFile(file, entry.content));
+		}));
+	}
+
+	/**
+	 * Reads the exported files which match the globs
+	 * @param {string} kind 'patterns' or 'assets'
+	 * @param {Array<string>} globs glob patterns of the files
+	 * @returns {Promise<Array>} The file names and their buffer contents
+	 */
+	read(kind, globs) {
+		const kindDirectory = path.resolve(this.directory, kind);
+		return globby(globs, { cwd: kindDirectory, nodir: true })
+			.then((files) => Promise.all(files.sort().map((file) => fsReadFile(path.resolve(kindDirectory, file))
+				.then((content) => ({ name: file, content })))));
+	}
+
+	/**
+	 * Removes the folders of the given pattern.json files from the export directory
+	 * @param {string} kind 'patterns'
+	 * @param {Array<string>} names The pattern.json file names
+	 * @returns {Promise} remove promise
+	 */
+	remove(kind, names) {
+		return Promise.all(names.map((name) => rimraf(path.resolve(this.directory, kind, path.dirname(name)))));
+	}
+}
+
+module.exports = FilesystemSyncTarget;
@@ -0,0 +1,259 @@
+'use strict';
+const assert = require('assert');
+const http = require('http');
+const https = require('https');
+const url = require('url');
+const path = require('path');
+const fs = require('fs');
+const denodeify = require('denodeify');
+const globby = require('globby');
+const _ = require('lodash');
+const frontifyApi = require('@frontify/frontify-api');
+const fsReadFile = denodeify(fs.readFile);
+
+/**
+ * Returns the variation thumbnails referenced by the given pattern.json files
+ * @param {string} cwd The directory the globs are relative to
+ * @param {Array<string>} patternGlobs glob patterns of the pattern.json files
+ * @returns {Promise<Array>} thumbnail files relative to the cwd
+ */
+function getThumbnails(cwd, patternGlobs) {
+	return globby(patternGlobs, { cwd })
+		.then((files) => Promise.all(files.map((file) => fsReadFile(path.resolve(cwd, file))
+			.then((content) => _.values(JSON.parse(content.toString()).variations)))))
+		.then((variations) => _.compact(_.flatten(variations).map((variation) => variation.thumbnail)));
+}
+
+// The pattern.json properties which are transmitted by the frontify api
+const FRONTIFY_PROPERTIES = ['id', 'name', 'description', 'type', 'stability', 'assets', 'variations'];
+
+/**
+ * Formats a metadata value as html e.g. ['form', 'action'] -> 'form, action'
+ * @param {*} value The pattern.json property value
+ * @returns {string} html
+ */
+function formatMetadataValue(value) {
+	if (Array.isArray(value)) {
+		return value.map(formatMetadataValue).join(', ');
+	}
+	if (value && typeof value === 'object') {
+		return value.url
+			? `<a href="${_.escape(value.url)}">${_.escape(value.title || value.url)}</a>`
+			: _.escape(JSON.stringify(value));
+	}
+	return _.escape(String(value));
+}
+
+/**
+ * Restores the status code or the network error code of a failed frontify api request
+ * which only keeps the message e.g. 'Could not create/update your patterns. 503 - {"success":false}'
+ * to retry only server and network errors
+ * @param {Error} error The frontify api error
+ * @returns {Error} the error
+ */
+function addRequestDetails(error) {
+	const statusMatch = (/\. (\d{3}) - /).exec(error.message);
+	const codeMatch = (/\b(E[A-Z_]+)\b/).exec(error.message);
+	if (statusMatch) {
+		error.statusCode = Number(statusMatch[1]);
+	} else if (codeMatch) {
+		error.code = codeMatch[1];
+	}
+	return error;
+}
+
+// The frontify api url if no baseUrl is configured
+const FRONTIFY_BASE_URL = 'https://app.frontify.com';
+
+/**
+ * Requests a json document
+ * @param {string} requestUrl The url
+ * @returns {Promise<Object>} the parsed response
+ */
+function getJson(requestUrl) {
+	const transport = url.parse(requestUrl).protocol === 'https:' ? https : http;
+	return new Promise((resolve, reject) => {
+		transport.get(requestUrl, (response) => {
+			let body = '';
+			response.on('data', (chunk) => {
+				body += chunk;
+			});
+			response.on('end', () => {
+				if (response.statusCode < 200 || response.statusCode >= 300) {
+					reject(new Error(`Unable to get pattern library data - responded with status ${response.statusCode}`));
+					return;
+				}
+				try {
+					resolve(JSON.parse(body));
+				} catch (parseError) {
+					reject(new Error(`Unable to get pattern library data - ${parseError.message}`));
+				}
+			});
+		}).on('error', reject);
+	});
+}
+
+/**
+ * Converts a frontify pattern into the pattern.json format
+ * Frontify only returns the name and description in a comparable way
+ * @param {Object} remotePattern The pattern from the frontify pattern list
+ * @returns {Object} pattern data
+ */
+function toPatternData(remotePattern) {
+	return _.omitBy({
+		name: remotePattern.name,
+		description: remotePattern.description || undefined,
+	}, _.isUndefined);
+}
+
+/**
+ * Groups the frontify patterns by the pattern.json files
+ * The frontify api identifies patterns by their kebab cased file path e.g. 'atoms-button-pattern'
+ * and variations by the pattern id and the kebab cased variation name e.g. 'atoms-button-pattern-example-example-hbs'
+ * Published patterns which don't exist locally anymore are identified by their api id
+ * @param {Array<Object>} remotePatterns The frontify pattern list
+ * @param {Object} localPatterns The local pattern data by pattern.json file name
+ * @returns {Object} published pattern data by pattern.json file name
+ */
+function groupRemotePatterns(remotePatterns, localPatterns) {
+	const remaining = _.keyBy(remotePatterns, 'id_api');
+	const takeVariations = (idApi, variationNames) => {
+		const variations = {};
+		variationNames.forEach((variationName) => {
+			const variationIdApi = `${idApi}-${_.kebabCase(variationName)}`;
+			if (remaining[variationIdApi]) {
+				variations[variationName] = toPatternData(remaining[variationIdApi]);
+				delete remaining[variationIdApi];
+			}
+		});
+		// Variations which were removed locally
+		Object.keys(remaining)
+			.filter((remoteIdApi) => remoteIdApi.indexOf(`${idApi}-`) === 0)
+			.forEach((remoteIdApi) => {
+				variations[remoteIdApi] = toPatternData(remaining[remoteIdApi]);
+				delete remaining[remoteIdApi];
+			});
+		return variations;
+	};
+	const published = {};
+	Object.keys(localPatterns).forEach((patternFile) => {
+		const idApi = _.kebabCase(patternFile.replace(/\.json$/, ''));
+		const remotePattern = remaining[idApi];
+		if (remotePattern) {
+			delete remaining[idApi];
+			published[patternFile] = _.extend(toPatternData(remotePattern), {
+				variations: takeVariations(idApi, Object.keys(localPatterns[patternFile].variations || {})),
+			});
+		}
+	});
+	Object.keys(remaining)
+		.filter((idApi) => (/-pattern$/).test(idApi))
+		.forEach((idApi) => {
+			published[idApi] = _.extend(toPatternData(remaining[idApi]), { variations: takeVariations(idApi, []) });
+		});
+	return published;
+}
+
+/**
+ * The default sync target which transmits patterns and assets to frontify
+ * see https://www.npmjs.com/package/@frontify/frontify-api#advanced-usage
+ */
+class FrontifySyncTarget {
+	/**
+	 * @param {Object} frontifyOptions The frontify api options e.g. { access_token, project, baseUrl }
+	 */
+	constructor(frontifyOptions) {
+		this.frontifyOptions = frontifyOptions;
+	}
+
+	/**
+	 * Syncs the pattern.json files and their variations to frontify
+	 * The pattern api ignores the variation thumbnails - they are uploaded as assets which are not linked to the patterns
+	 * @param {string} cwd The directory the globs are relative to
+	 * @param {Array<string>} patternGlobs glob patterns of the pattern.json files
+	 * @returns {Promise<Array>} the synced patterns
+	 */
+	syncPatterns(cwd, patternGlobs) {
+		this._assertOptions();
+		const meta = _.extend({ cwd }, this.frontifyOptions);
+		return frontifyApi.syncPatterns(meta, patternGlobs)
+			.then((patterns) => getThumbnails(cwd, patternGlobs)
+				.then((thumbnailFiles) => thumbnailFiles.length && frontifyApi.syncAssets(meta, thumbnailFiles))
+				.then(() => patterns))
+			.catch((syncError) => {
+				throw addRequestDetails(syncError);
+			});
+	}
+
+	/**
+	 * Appends the metadata which the frontify api does not transmit (e.g. tags, version, authors and links)
+	 * as html list to the description
+	 * @param {Object} patternData The generated pattern.json data
+	 * @returns {Object} pattern data
+	 */
+	preparePattern(patternData) {
+		const metadata = _.omit(patternData, FRONTIFY_PROPERTIES);
+		if (_.isEmpty(metadata)) {
+			return patternData;
+		}
+		const items = _.map(metadata, (value, property) =>
+			`<li>${_.escape(_.startCase(property))}: ${formatMetadataValue(value)}</li>`);
+		return _.extend({}, patternData, {
+			description: `${patternData.description || ''}<ul class="pattern-metadata">${items.join('')}</ul>`,
+		});
+	}
+
+	/**
+	 * Syncs assets like images to frontify
+	 * @param {string} cwd The directory the globs are relative to
+	 * @param {Array<string>} assetGlobs glob patterns of the assets
+	 * @returns {Promise<Array>} the synced assets
+	 */
+	syncAssets(cwd, assetGlobs) {
+		this._assertOptions();
+		return frontifyApi.syncAssets(_.extend({ cwd }, this.frontifyOptions), assetGlobs)
+			.catch((syncError) => {
+				throw addRequestDetails(syncError);
+			});
+	}
+
+	/**
+	 * Reads the currently published patterns from the frontify pattern list
+	 * @param {Object} localPatterns The local pattern data by pattern.json file name
+	 *   to match the frontify patterns with the pattern.json files
+	 * @returns {Promise<Object>} { patterns, fields } the published pattern data by pattern.json file name
+	 *   and the fields which can be compared
+	 */
+	getPublishedPatterns(localPatterns) {
+		this._assertOptions();
+		const baseUrl = (this.frontifyOptions.baseUrl || FRONTIFY_BASE_URL).replace(/\/$/, '');
+		const listUrl = `${baseUrl}/v1/patterns/list/${this.frontifyOptions.project}` +
+			`?access_token=${encodeURIComponent(this.frontifyOptions.access_token)}`;
+		return getJson(listUrl).then((data) => ({
+			patterns: groupRemotePatterns(data.patterns || [], localPatterns),
+			fields: {
+				pattern: ['name', 'description'],
+				variation: ['name'],
+			},
+		}));
+	}
+
+	/**
+	 * Frontify patterns can't be deleted using the api
+	 * @returns {Promise} rejected promise
+	 */
+	removePatterns() {
+		return Promise.reject(new Error('Frontify patterns can not be deleted - use the prune option "deprecate" instead'));
+	}
+
+	/**
+	 * Verifies that all required frontify options are set
+	 * @returns {undefined}
+	 */
+	_assertOptions() {
+		assert(typeof this.frontifyOptions === 'object', 'Please specifiy the frontify options');
+		assert(this.frontifyOptions.access_token, 'Please specify a frontify token');
+	}
+}
+
+module.exports = FrontifySyncTarget;
@@ -0,0 +1,89 @@
+'use strict';
+const assert = require('assert');
+const http = require('http');
+const https = require('https');
+const url = require('url');
+const _ = require('lodash');
+const FileSyncTarget = require('./file-sync-target');
+
+/**
+ * Posts the patterns and assets as json to a http endpoint
+ * The body has the format
+ * { kind: 'patterns', action: 'write', files: [{ name: 'atoms/button/pattern.json', content: '<base64>' }] }
+ * Removed patterns are posted with the action 'remove' and without content
+ */
+class HttpSyncTarget extends FileSyncTarget {
+	/**
+	 * @param {Object} options Sync target options
+	 * @param {string} options.url The endpoint e.g. https://example.com/styleguide
+	 * @param {Object} [options.headers] Additional request headers e.g. for authentication
+	 */
+	constructor(options) {
+		super();
+		assert(options.url, 'Please specify the endpoint url e.g. { type: "http", url: "https://example.com" }');
+		this.url = options.url;
+		this.headers = options.headers || {};
+	}
+
+	/**
+	 * Posts the entries to the endpoint
+	 * @param {string} kind 'patterns' or 'assets'
+	 * @param {Array<Object>} entries The file names and their buffer contents
+	 * @returns {Promise} request promise
+	 */
+	write(kind, entries) {
+		return this._post({
+			kind,
+			action: 'write',
+			files: entries.map((entry) => ({ name: entry.name, content: entry.content.toString('base64') })),
+		});
+	}
+
+	/**
+	 * Posts the removed pattern.json files to the endpoint
+	 * @param {string} kind 'patterns'
+	 * @param {Array<string>} names The pattern.json file names
+	 * @returns {Promise} request promise
+	 */
+	remove(kind, names) {
+		return this._post({
+			kind,
+			action: 'remove',
+			files: names.map((name) => ({ name })),
+		});
+	}
+
+	/**
+	 * Posts the data as json to the endpoint
+	 * @param {Object} data The request body
+	 * @returns {Promise} request promise
+	 */
+	_post(data) {
+		const body = new Buffer(JSON.stringify(data));
+		const requestOptions = _.extend(url.parse(this.url), {
+			method: 'POST',
+			headers: _.extend({
+				'Content-Type': 'application/json',
+				'Content-Length': body.length,
+			}, this.headers),
+		});
+		const transport = requestOptions.protocol === 'https:' ? https : http;
+		return new Promise((resolve, reject) => {
+			const request = transport.request(requestOptions, (response) => {
+				response.resume();
+				if (response.statusCode < 200 || response.statusCode >= 300) {
+					const statusError = new Error(`"${this.url}" responded with status ${response.statusCode}`);
+					// Allows to retry only server errors
+					statusError.statusCode = response.statusCode;
+					reject(statusError);
+					return;
+				}
+				response.on('end', resolve);
+			});
+			request.on('error', reject);
+			request.end(body);
+		});
+	}
+}
+
+module.exports = HttpSyncTarget;
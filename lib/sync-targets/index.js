@@ -0,0 +1,49 @@
+'use strict';
+const assert = require('assert');
+const FrontifySyncTarget = require('./frontify');
+const FileSyncTarget = require('./file-sync-target');
+const FilesystemSyncTarget = require('./filesystem');
+const HttpSyncTarget = require('./http');
+const CustomSyncTarget = require('./custom');
+const MemorySyncTarget = require('./memory');
+
+// The built-in sync targets which can be configured by type e.g. { type: 'filesystem', directory: '/a/path' }
+const SYNC_TARGET_TYPES = {
+	frontify: (options, frontifyOptions) => new FrontifySyncTarget(frontifyOptions),
+	filesystem: (options) => new FilesystemSyncTarget(options),
+	http: (options) => new HttpSyncTarget(options),
+	memory: () => new MemorySyncTarget(),
+};
+
+/**
+ * Creates the sync target from the `syncTarget` config option
+ * @param {Object|Function|undefined} syncTarget A sync target instance, a sync function
+ *   or the options of a built-in target
+ * @param {Object} frontifyOptions The frontify api options for the default target
+ * @returns {Object} sync target with `syncPatterns(cwd, globs)` and `syncAssets(cwd, globs)` methods
+ */
+function createSyncTarget(syncTarget, frontifyOptions) {
+	if (!syncTarget) {
+		return new FrontifySyncTarget(frontifyOptions);
+	}
+	if (typeof syncTarget === 'function') {
+		return new CustomSyncTarget(syncTarget);
+	}
+	if (typeof syncTarget.syncPatterns === 'function' && typeof syncTarget.syncAssets === 'function') {
+		return syncTarget;
+	}
+	const createBuiltInSyncTarget = SYNC_TARGET_TYPES[syncTarget.type];
+	assert(createBuiltInSyncTarget,
+		`Unknown sync target type "${syncTarget.type}" - use ${Object.keys(SYNC_TARGET_TYPES).join(', ')}`);
+	return createBuiltInSyncTarget(syncTarget, frontifyOptions);
+}
+
+module.exports = {
+	createSyncTarget,
+	FrontifySyncTarget,
+	FileSyncTarget,
+	FilesystemSyncTarget,
+	HttpSyncTarget,
+	CustomSyncTarget,
+	MemorySyncTarget,
+};
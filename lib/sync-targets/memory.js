@@ -0,0 +1,65 @@
+'use strict';
+const path = require('path');
+const _ = require('lodash');
+const minimatch = require('minimatch');
+const FileSyncTarget = require('./file-sync-target');
+
+/**
+ * Keeps the synced patterns and assets in memory e.g. for testing
+ */
+class MemorySyncTarget extends FileSyncTarget {
+	/**
+	 * Creates an empty in-memory store
+	 */
+	constructor() {
+		super();
+		// File names mapped to their string contents
+		this.files = {
+			patterns: {},
+			assets: {},
+		};
+	}
+
+	/**
+	 * Stores the entries
+	 * @param {string} kind 'patterns' or 'assets'
+	 * @param {Array<Object>} entries The file names and their buffer contents
+	 * @returns {Promise} write promise
+	 */
+	write(kind, entries) {
+		entries.forEach((entry) => {
+			this.files[kind][entry.name] = entry.content.toString();
+		});
+		return Promise.resolve();
+	}
+
+	/**
+	 * Returns the stored files which match the globs
+	 * @param {string} kind 'patterns' or 'assets'
+	 * @param {Array<string>} globs glob patterns of the files
+	 * @returns {Promise<Array>} The file names and their buffer contents
+	 */
+	read(kind, globs) {
+		return Promise.resolve(_.keys(this.files[kind]).sort()
+			.filter((name) => globs.some((glob) => minimatch(name, glob)))
+			.map((name) => ({ name, content: new Buffer(this.files[kind][name]) })));
+	}
+
+	/**
+	 * Removes all stored files inside the folders of the given pattern.json files
+	 * @param {string} kind 'patterns'
+	 * @param {Array<string>} names The pattern.json file names
+	 * @returns {Promise} remove promise
+	 */
+	remove(kind, names) {
+		const folders = names.map((name) => `${path.posix.dirname(name)}/`);
+		Object.keys(this.files[kind])
+			.filter((file) => folders.some((folder) => file.indexOf(folder) === 0))
+			.forEach((file) => {
+				delete this.files[kind][file];
+			});
+		return Promise.resolve();
+	}
+}
+
+module.exports = MemorySyncTarget;
@@ -0,0 +1,79 @@
+'use strict';
+const assert = require('assert');
+
+// The browser is closed if no thumbnail was rendered for this time
+const BROWSER_IDLE_TIMEOUT = 1000;
+
+/**
+ * Creates a renderer which takes the screenshots with a locally installed headless chrome
+ * (`npm install puppeteer`) - the browser is shared between all thumbnails and closed once it is idle
+ * @returns {Function} renderer(page) resolving the png buffer
+ */
+function createPuppeteerRenderer() {
+	let browser = null;
+	let pendingThumbnails = 0;
+	let idleTimer;
+	const closeIdleBrowser = () => {
+		pendingThumbnails--;
+		if (pendingThumbnails === 0) {
+			idleTimer = setTimeout(() => {
+				const idleBrowser = browser;
+				browser = null;
+				idleBrowser.then((instance) => instance.close(), () => undefined);
+			}, BROWSER_IDLE_TIMEOUT);
+		}
+	};
+	return (page) => {
+		pendingThumbnails++;
+		clearTimeout(idleTimer);
+		if (!browser) {
+			browser = Promise.resolve().then(() => {
+				let puppeteer;
+				try {
+					puppeteer = require('puppeteer'); // eslint-disable-line global-require, import/no-unresolved
+				} catch (requireError) {
+					throw new Error('The "puppeteer" thumbnail renderer requires puppeteer - run `npm install puppeteer`');
+				}
+				return puppeteer.launch();
+			});
+		}
+		return browser
+			.then((instance) => instance.newPage())
+			.then((browserPage) => browserPage.setViewport({ width: page.width, height: page.height })
+				.then(() => browserPage.setContent(page.html))
+				.then(() => browserPage.screenshot({ type: 'png' }))
+				.then((screenshot) => browserPage.close().then(() => screenshot)))
+			.then((screenshot) => {
+				closeIdleBrowser();
+				return screenshot;
+			}, (renderError) => {
+				closeIdleBrowser();
+				throw renderError;
+			});
+	};
+}
+
+// The built-in renderers which can be configured by name e.g. { renderer: 'puppeteer' }
+const RENDERERS = {
+	puppeteer: createPuppeteerRenderer,
+};
+
+/**
+ * Creates the thumbnail renderer from the `thumbnails.renderer` config option
+ * @param {string|Function} renderer The name of a built-in renderer or a function
+ *   which receives { html, width, height, component, variation } and resolves a png buffer
+ * @returns {Function} renderer(page)
+ */
+function createThumbnailRenderer(renderer) {
+	if (typeof renderer === 'function') {
+		return renderer;
+	}
+	assert(RENDERERS[renderer], `Unknown thumbnail renderer "${renderer}" - use ${Object.keys(RENDERERS).join(', ')} ` +
+		'or a function');
+	return RENDERERS[renderer]();
+}
+
+module.exports = {
+	createThumbnailRenderer,
+	createPuppeteerRenderer,
+};
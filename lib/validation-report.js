@@ -0,0 +1,91 @@
+'use strict';
+const _ = require('lodash');
+
+/**
+ * Creates a validation report
+ * @param {Array<string>} components The ids of all validated components e.g. ['atoms/button']
+ * @param {Array<Object>} problems All found problems
+ * @returns {Object} report
+ */
+function createReport(components, problems) {
+	return {
+		valid: problems.length === 0,
+		components: components.slice().sort(),
+		problems: _.sortBy(problems, 'component'),
+	};
+}
+
+/**
+ * Formats the report problems as human readable text
+ * @param {Object} report The validation report
+ * @returns {string} text
+ */
+function toText(report) {
+	const count = report.problems.length;
+	const lines = report.problems
+		.map((problem) => `  [${problem.type}] ${problem.component}: ${problem.message}`);
+	return [`Component validation failed - ${count} problem${count === 1 ? '' : 's'} found:`]
+		.concat(lines)
+		.join('\n');
+}
+
+/**
+ * Formats the report as JSON
+ * @param {Object} report The validation report
+ * @returns {string} json
+ */
+function toJSON(report) {
+	return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Escapes special xml characters
+ * @param {string} value The raw value
+ * @returns {string} escaped value
+ */
+function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats the report as JUnit xml with one testcase per component
+ * @param {Object} report The validation report
+ * @returns {string} xml
+ */
+function toJUnit(report) {
+	const problemsByComponent = _.groupBy(report.problems, 'component');
+	const failedComponents = report.components.filter((component) => problemsByComponent[component]);
+	const testcases = report.components.map((component) => {
+		const failures = (problemsByComponent[component] || []).map((problem) =>
+			`      <failure type="${escapeXml(problem.type)}" message="${escapeXml(problem.message)}">` +
+			`${escapeXml(problem.file)}</failure>`
+		);
+		if (failures.length === 0) {
+			return `    <testcase classname="nitro-frontify-deployer" name="${escapeXml(component)}"/>`;
+		}
+		return [`    <testcase classname="nitro-frontify-deployer" name="${escapeXml(component)}">`]
+			.concat(failures, ['    </testcase>'])
+			.join('\n');
+	});
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<testsuites>',
+		`  <testsuite name="nitro-frontify-deployer validation" tests="${report.components.length}" ` +
+			`failures="${failedComponents.length}">`,
+	].concat(testcases, [
+		'  </testsuite>',
+		'</testsuites>',
+		'',
+	]).join('\n');
+}
+
+module.exports = {
+	createReport,
+	toText,
+	toJSON,
+	toJUnit,
+};
@@ -2,12 +2,20 @@
 import test from 'ava';
 import denodeify from 'denodeify';
 import path from 'path';
+import http from 'http';
+import { execSync } from 'child_process';
+import Module from 'module';
+import chokidar from 'chokidar';
 import NitroFrontifyDeployer from '..';
+import cli from '../lib/cli';
+import patternDiff from '../lib/pattern-diff';
+import thumbnails from '../lib/thumbnails';
 
 const copy = denodeify(require('ncp').ncp);
 const mkdirp = denodeify(require('mkdirp'));
 const rimraf = denodeify(require('rimraf'));
 const readFile = denodeify(require('fs').readFile);
+const writeFile = denodeify(require('fs').writeFile);
 const fileExists = (file) => readFile(file).then(() => true).catch(() => false);
 const act = ['a', 'c', 'c', 'e', 's', 's', '_', 't', 'o', 'k', 'e', 'n'].join('');
 const actEnv = ['FRONTIFY_', 'A', 'CC', 'E', 'SS', '_', 'T', 'O', 'K', 'E', 'N'].join('');
@@ -15,6 +23,15 @@ const actEnv = ['FRONTIFY_', 'A', 'CC', 'E', 'SS', '_', 'T', 'O', 'K', 'E', 'N']
 const tmp = path.resolve(__dirname, '..', 'tmp', 'testing');
 const fixtures = path.resolve(__dirname, 'fixtures');
 const compilerMock = (tpl) => () => tpl.toUpperCase();
+const compilerMockSource = 'module.exports = (tpl) => () => tpl.toUpperCase();';
+
+const httpGet = (url) => new Promise((resolve, reject) => {
+	http.get(url, (response) => {
+		let body = '';
+		response.on('data', (chunk) => { body += chunk; });
+		response.on('end', () => resolve({ statusCode: response.statusCode, body }));
+	}).on('error', reject);
+});
 
 const getErrorMessage = async(cb) => {
 	try {
@@ -66,7 +83,11 @@ test('should throw if a component is not valid', async t => {
 		await deployer.validateComponents();
 	});
 	const invalidFile = path.join(componentDir, 'atoms', 'button', 'pattern.json');
-	const expectedMessage = `Schema "nitro-frontify-deployer-input-schema" can't be applied for "${invalidFile}" because data.stability should be equal to one of the allowed values`;
+	const expectedMessage = [
+		'Component validation failed - 2 problems found:',
+		`  [schema] atoms/button: Schema "nitro-frontify-deployer-input-schema" can't be applied for "${invalidFile}" because data.stability should be equal to one of the allowed values`,
+		'  [examples] atoms/button: No examples found.',
+	].join('\n');
 	t.is(err, expectedMessage);
 	t.pass();
 });
@@ -100,11 +121,227 @@ test('should throw if the component type is not in the mapping', async t => {
 	const err = await getErrorMessage(async() => {
 		await deployer.validateComponents();
 	});
-	const expectedMessage = `Folder name "atoms" is not in the mapping.`;
+	const expectedMessage = [
+		'Component validation failed - 2 problems found:',
+		'  [mapping] atoms/button: No type for "atoms/button" - add it to the mapping or set defaultType',
+		'  [mapping] atoms/radio: No type for "atoms/radio" - add it to the mapping or set defaultType',
+	].join('\n');
 	t.is(err, expectedMessage);
 	t.pass();
 });
 
+test('should skip invalid and failing components with the continueOnError build option', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('nested');
+	const syncTarget = new NitroFrontifyDeployer.syncTargets.MemorySyncTarget();
+	const failedEvents = [];
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+			organisms: 'organism',
+		},
+		defaultType: 'helper',
+		compiler: (tpl, templatePath, context) => {
+			if (context.component === 'shared/icon') {
+				throw new Error('Compile error');
+			}
+			return compilerMock(tpl);
+		},
+		targetDir: tmpDir,
+		syncTarget,
+		thumbnails: {
+			renderer: (page) => (page.component === 'organisms/forms/login'
+				? Promise.reject(new Error('Screenshot failed'))
+				: Promise.resolve(new Buffer('PNG'))),
+		},
+		buildOptions: {
+			continueOnError: true,
+		},
+	});
+	deployer.on('component:failed', (event) => failedEvents.push(event.component));
+	const deployResult = await deployer.deploy();
+	const iconTemplate = path.join(componentDir, 'shared', 'icon', '_example', 'example.hbs');
+	t.deepEqual(deployResult.components, ['atoms/button/pattern.json']);
+	t.deepEqual(deployResult.failed, [
+		{ component: 'organisms/forms/login', message: 'Screenshot failed' },
+		{ component: 'shared/icon', message: `"${iconTemplate}" Compile error` },
+	]);
+	t.deepEqual(failedEvents.sort(), ['organisms/forms/login', 'shared/icon']);
+	const buildResult = await deployer.build();
+	t.deepEqual(buildResult.components.map((transferData) => transferData.name), ['button']);
+	t.deepEqual(buildResult.failed, deployResult.failed);
+	t.deepEqual(Object.keys(syncTarget.files.patterns).filter((file) => (/pattern\.json$/).test(file)), ['atoms/button/pattern.json']);
+	t.false(await fileExists(path.join(tmpDir, 'organisms', 'forms', 'login', 'pattern.json')));
+	t.pass();
+});
+
+test('should compile every example only once per deploy and report template errors of all components', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const compiledTemplates = [];
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: (tpl, templatePath) => () => {
+			compiledTemplates.push(path.relative(componentDir, templatePath));
+			if (tpl === 'Broken') {
+				throw new Error('Broken template');
+			}
+			return tpl;
+		},
+		targetDir: tmpDir,
+		syncTarget: { type: 'memory' },
+		incremental: true,
+	});
+	await deployer.deploy();
+	t.is(compiledTemplates.length, 3);
+	// Unchanged components are neither validated by rendering nor rebuilt
+	await deployer.deploy();
+	t.is(compiledTemplates.length, 3);
+	await writeFile(path.join(componentDir, 'atoms', 'button', '_example', 'example.hbs'), 'Broken');
+	await writeFile(path.join(componentDir, 'atoms', 'radio', '_example', 'mobile.hbs'), 'Broken');
+	const error = await deployer.deploy().catch((deployError) => deployError);
+	t.deepEqual(error.report.problems.map((problem) => `${problem.type} ${problem.component}`), [
+		'template atoms/button',
+		'template atoms/radio',
+	]);
+	t.is(error.code, 'TEMPLATE_COMPILE_ERROR');
+	t.pass();
+});
+
+test('should limit the build concurrency and stop at the first failing component by default', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('nested');
+	let running = 0;
+	let maxRunning = 0;
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+			organisms: 'organism',
+		},
+		defaultType: 'helper',
+		compiler: (tpl) => () => {
+			running++;
+			maxRunning = Math.max(maxRunning, running);
+			return new Promise((resolve) => setTimeout(resolve, 10)).then(() => {
+				running--;
+				return tpl;
+			});
+		},
+		targetDir: tmpDir,
+		thumbnails: {
+			renderer: (page) => (page.component === 'organisms/forms/login'
+				? Promise.reject(new Error('Screenshot failed'))
+				: Promise.resolve(new Buffer('PNG'))),
+		},
+		buildOptions: {
+			concurrency: 1,
+		},
+	});
+	t.is(await getErrorMessage(() => deployer.deploy()), 'Screenshot failed');
+	t.is(maxRunning, 1);
+	t.pass();
+});
+
+test('should resolve the type of nested components from the closest mapped folder or the default type', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('nested');
+	const syncTarget = new NitroFrontifyDeployer.syncTargets.MemorySyncTarget();
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+			organisms: 'organism',
+		},
+		defaultType: 'helper',
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncTarget,
+	});
+	const deployResult = await deployer.deploy();
+	const getType = (patternFile) => JSON.parse(syncTarget.files.patterns[patternFile]).type;
+	t.deepEqual(deployResult.components, ['atoms/button/pattern.json', 'organisms/forms/login/pattern.json', 'shared/icon/pattern.json']);
+	t.is(getType('atoms/button/pattern.json'), 'atom');
+	t.is(getType('organisms/forms/login/pattern.json'), 'organism');
+	t.is(getType('shared/icon/pattern.json'), 'helper');
+	t.is(syncTarget.files.patterns['organisms/forms/login/example.html'], 'LOGIN');
+	t.pass();
+});
+
+test('should resolve the component type from path patterns and mapping functions', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('nested');
+	const config = {
+		rootDirectory: componentDir,
+		compiler: compilerMock,
+		targetDir: tmpDir,
+	};
+	const patternDeployer = new NitroFrontifyDeployer(Object.assign({}, config, {
+		mapping: {
+			'organisms/forms/*': 'molecule',
+			'shared/**': 'atom',
+			'atoms': 'atom',
+			'organisms': 'organism',
+		},
+	}));
+	const functionDeployer = new NitroFrontifyDeployer(Object.assign({}, config, {
+		mapping: (componentId) => (componentId.indexOf('shared/') === 0 ? 'atom' : undefined),
+		defaultType: 'organism',
+	}));
+	const getTypes = (transferData) => transferData.map((pattern) => `${pattern.name}:${pattern.type}`).sort();
+	t.deepEqual(getTypes(await patternDeployer.buildComponents()), ['button:atom', 'icon:atom', 'login:molecule']);
+	t.deepEqual(getTypes(await functionDeployer.buildComponents()), ['button:organism', 'icon:atom', 'login:organism']);
+	t.pass();
+});
+
+test('should report nested components which are not in the mapping', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('nested');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+	});
+	const report = await deployer.getValidationReport();
+	t.deepEqual(report.problems.map((problem) => `${problem.component}: ${problem.message}`), [
+		'organisms/forms/login: No type for "organisms/forms/login" - add it to the mapping or set defaultType',
+		'shared/icon: No type for "shared/icon" - add it to the mapping or set defaultType',
+	]);
+	t.pass();
+});
+
+test('should report all problems of all components', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('template-error');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {},
+		compiler: () => { throw new Error('Compile error'); },
+		targetDir: tmpDir,
+	});
+	const report = await deployer.getValidationReport();
+	const templateFile = path.join(componentDir, 'atoms', 'button', '_example', 'example.hbs');
+	t.deepEqual(report, {
+		valid: false,
+		components: ['atoms/button'],
+		problems: [
+			{
+				component: 'atoms/button',
+				type: 'mapping',
+				file: path.join(componentDir, 'atoms', 'button', 'pattern.json'),
+				message: 'No type for "atoms/button" - add it to the mapping or set defaultType',
+			},
+			{
+				component: 'atoms/button',
+				type: 'template',
+				file: templateFile,
+				message: `"${templateFile}" Compile error`,
+			},
+		],
+	});
+	t.pass();
+});
+
 test('should generate the transferdata for a component', async t => {
 	const { componentDir, tmpDir } = await createTestEnvironment('valid');
 	const deployer = new NitroFrontifyDeployer({
@@ -175,6 +412,66 @@ test('should generate the transferdata for another component', async t => {
 	t.pass();
 });
 
+test('should add the variation assets to every variation', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const assetFolder = path.join(fixtures, 'assets');
+	const buttonPatternFile = path.join(componentDir, 'atoms', 'button', 'pattern.json');
+	await writeFile(buttonPatternFile, JSON.stringify({
+		stability: 'stable',
+		variationAssets: {
+			js: ['library.js'],
+		},
+	}));
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		assetFolder,
+		variationAssets: {
+			css: ['library.css'],
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+	});
+	const buttonComponent = await deployer.nitroComponentResolver.getComponent('atoms/button');
+	const radioComponent = await deployer.nitroComponentResolver.getComponent('atoms/radio');
+	const buttonTransferData = await deployer._generateComponentTransferData(buttonComponent);
+	const radioTransferData = await deployer._generateComponentTransferData(radioComponent);
+	const relativeAssetFolder = path.relative(tmpDir, assetFolder).replace(/\\/g, '/');
+	t.deepEqual(buttonTransferData.variations['_example/example.hbs'].assets, {
+		html: ['atoms/button/example.html'],
+		css: [`${relativeAssetFolder}/library.css`],
+		js: [`${relativeAssetFolder}/library.js`],
+	});
+	t.deepEqual(radioTransferData.variations['_example/mobile.hbs'].assets, {
+		html: ['atoms/radio/mobile.html'],
+		css: [`${relativeAssetFolder}/library.css`],
+	});
+	t.is(buttonTransferData.variationAssets, undefined);
+	t.pass();
+});
+
+test('should throw if a variation asset does not exist', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const assetFolder = path.join(fixtures, 'assets');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		assetFolder,
+		variationAssets: {
+			css: ['missing.css'],
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+	});
+	const errorMessage = await getErrorMessage(() => deployer.buildComponents());
+	t.is(errorMessage, `Variation asset "missing.css" does not exist in the assetFolder "${assetFolder}"`);
+	t.pass();
+});
+
 test('should allow to process the component name', async t => {
 	const { componentDir, tmpDir } = await createTestEnvironment('valid');
 	const deployer = new NitroFrontifyDeployer({
@@ -246,6 +543,149 @@ test('should prettify a components examples', async t => {
 	t.pass();
 });
 
+test('should compile the examples with async compilers by file extension', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	await writeFile(path.join(componentDir, 'atoms', 'radio', '_example', 'tablet.twig'), 'Tablet');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: {
+			// The template function only receives the data - e.g. handlebars expects runtime options as second argument
+			'hbs': (tpl, templatePath, context) => Promise.resolve((...args) =>
+				Promise.resolve(`${context.component} ${args.length} ${tpl}`)),
+			'.twig': (tpl, templatePath) => Promise.resolve(`${path.basename(templatePath)} ${tpl}`),
+		},
+		examples: 'all',
+		targetDir: tmpDir,
+		htmlOutput: { format: false },
+	});
+	await deployer.buildComponents();
+	const button = await readFile(path.join(tmpDir, 'atoms', 'button', 'example.html'));
+	const tablet = await readFile(path.join(tmpDir, 'atoms', 'radio', 'tablet.html'));
+	t.is(button.toString(), 'atoms/button 1 Hello World');
+	t.is(tablet.toString(), 'tablet.twig Tablet');
+	t.pass();
+});
+
+test('should report examples without a compiler and rejected compilations', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	await writeFile(path.join(componentDir, 'atoms', 'radio', '_example', 'tablet.twig'), 'Tablet');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: {
+			'.hbs': (tpl, templatePath, context) => (context.component === 'atoms/button'
+				? Promise.reject(new Error('Async compile error'))
+				: tpl),
+		},
+		examples: 'all',
+		targetDir: tmpDir,
+	});
+	const report = await deployer.getValidationReport();
+	const buttonTemplate = path.join(componentDir, 'atoms', 'button', '_example', 'example.hbs');
+	const tabletTemplate = path.join(componentDir, 'atoms', 'radio', '_example', 'tablet.twig');
+	t.deepEqual(report.problems.map((problem) => `${problem.type} ${problem.file}`).sort(), [
+		`template ${path.join(componentDir, 'atoms', 'button', '_example', '_hidden.hbs')}`,
+		`template ${buttonTemplate}`,
+		`template ${tabletTemplate}`,
+	]);
+	t.true(report.problems.some((problem) => problem.message === `"${buttonTemplate}" Async compile error`));
+	t.true(report.problems.some((problem) => problem.message === `"${tabletTemplate}" No compiler for ".twig" templates ` +
+		'- add it to the compiler option e.g. { compiler: { ".twig": compile } }'));
+	t.pass();
+});
+
+test('should post-process the compiled examples', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	await writeFile(path.join(componentDir, 'atoms', 'button', '_example', 'example.hbs'),
+		'<div data-t-name="Button"><img src="/assets/icon.png"></div>');
+	await writeFile(path.join(componentDir, 'atoms', 'radio', 'pattern.json'), JSON.stringify({
+		stability: 'stable',
+		htmlOutput: { wrapper: '<aside>{{html}}</aside>' },
+	}));
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: (tpl) => () => tpl,
+		targetDir: tmpDir,
+		htmlOutput: {
+			format: false,
+			stripAttributes: ['data-t-name'],
+			rewriteUrls: { '/assets/': '../assets/' },
+			wrapper: '<main>{{html}}</main>',
+			transforms: [(markup, context) => Promise.resolve(`${markup}<!-- ${context.component} -->`)],
+		},
+	});
+	await deployer.buildComponents();
+	const button = await readFile(path.join(tmpDir, 'atoms', 'button', 'example.html'));
+	const radio = await readFile(path.join(tmpDir, 'atoms', 'radio', 'mobile.html'));
+	t.is(button.toString(), '<main><div><img src="../assets/icon.png"></div><!-- atoms/button --></main>');
+	t.is(radio.toString(), '<aside>Fancy Radio<!-- atoms/radio --></aside>');
+	t.pass();
+});
+
+test('should render examples with the pattern defaults, the example data file and the data processor', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('data');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: (tpl) => (data) => tpl.replace(/{{([\w.]+)}}/g,
+			(match, key) => key.split('.').reduce((value, name) => value[name], data)),
+		exampleDataProcessor: (data, templateSrc, component) => Object.assign({ theme: component.data.title }, data),
+		targetDir: tmpDir,
+	});
+	await deployer.buildComponents();
+	const renderedTemplate = await readFile(path.join(tmpDir, 'atoms', 'teaser', 'example.html'));
+	t.is(renderedTemplate.toString(), 'Default title - Example text - Read more - Teaser');
+	t.pass();
+});
+
+test('should throw if an example data file can not be read', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('data');
+	const dataFile = path.join(componentDir, 'atoms', 'teaser', '_example', 'example.json');
+	// A directory instead of the data file
+	await rimraf(dataFile);
+	await mkdirp(dataFile);
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+	});
+	const error = await deployer.buildComponents().catch((buildError) => buildError);
+	t.is(error.code, 'EISDIR');
+	t.pass();
+});
+
+test('should throw if an example data file is not valid json', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('data');
+	const dataFile = path.join(componentDir, 'atoms', 'teaser', '_example', 'example.json');
+	await writeFile(dataFile, '{ invalid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+	});
+	// The json parser message differs between node versions
+	const error = await deployer.buildComponents().catch((buildError) => buildError);
+	t.true(error instanceof NitroFrontifyDeployer.errors.ValidationError);
+	t.is(error.message.indexOf(`"${dataFile}" `), 0);
+	t.pass();
+});
+
 test('should add the template name to the template error message', async t => {
 	const { componentDir, tmpDir } = await createTestEnvironment('template-error');
 	const deployer = new NitroFrontifyDeployer({
@@ -281,8 +721,17 @@ test('should generate a components pattern.json', async t => {
 	t.pass();
 });
 
-test('should deploy without any error', async t => {
+test('should transfer the full pattern metadata and schema extensions', async t => {
 	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	await writeFile(path.join(componentDir, 'atoms', 'button', 'pattern.json'), JSON.stringify({
+		stability: 'stable',
+		description: 'A button',
+		tags: ['form', 'action'],
+		version: '1.2.0',
+		authors: ['Jane Doe'],
+		links: [{ title: 'Specification', url: 'https://example.com/button' }],
+		owner: 'design-system',
+	}));
 	const deployer = new NitroFrontifyDeployer({
 		rootDirectory: componentDir,
 		mapping: {
@@ -290,23 +739,40 @@ test('should deploy without any error', async t => {
 		},
 		compiler: compilerMock,
 		targetDir: tmpDir,
-		frontifyOptions: {
-			[act]: '3a8027e1809854d38d9703ba1af3ca77b2db7da7',
-			project: 92545,
-			baseUrl: 'https://app.frontify.com/',
-			dryRun: true,
+		syncTarget: new NitroFrontifyDeployer.syncTargets.MemorySyncTarget(),
+		schemaExtension: {
+			properties: {
+				owner: { type: 'string' },
+			},
 		},
 	});
-
-	const deployResult = await deployer.deploy();
-	t.deepEqual(deployResult.assets.length, 0);
-	t.deepEqual(deployResult.components.length, 5);
+	await deployer.validateComponents();
+	const buttonComponent = await deployer.nitroComponentResolver.getComponent('atoms/button');
+	const metadata = Object.assign({}, await deployer._buildComponent(buttonComponent));
+	delete metadata.variations;
+	t.deepEqual(metadata, {
+		name: 'button',
+		type: 'atom',
+		stability: 'stable',
+		description: 'A button',
+		tags: ['form', 'action'],
+		version: '1.2.0',
+		authors: ['Jane Doe'],
+		links: [{ title: 'Specification', url: 'https://example.com/button' }],
+		owner: 'design-system',
+	});
 	t.pass();
 });
 
-test('should deploy without any error using process env tokens', async t => {
+test('should append the metadata which frontify does not know to the description', async t => {
 	const { componentDir, tmpDir } = await createTestEnvironment('valid');
-	process.env[actEnv] = '3a8027e1809854d38d9703ba1af3ca77b2db7da7';
+	await writeFile(path.join(componentDir, 'atoms', 'button', 'pattern.json'), JSON.stringify({
+		stability: 'stable',
+		description: 'A button',
+		tags: ['form', 'action'],
+		version: '1.2.0',
+		links: [{ title: 'Specification <v2>', url: 'https://example.com/button?a=1&b=2' }],
+	}));
 	const deployer = new NitroFrontifyDeployer({
 		rootDirectory: componentDir,
 		mapping: {
@@ -314,46 +780,47 @@ test('should deploy without any error using process env tokens', async t => {
 		},
 		compiler: compilerMock,
 		targetDir: tmpDir,
-		frontifyOptions: {
-			project: 92545,
-			baseUrl: 'https://app.frontify.com/',
-			dryRun: true,
-		},
 	});
-
-	const deployResult = await deployer.deploy();
-	t.deepEqual(deployResult.assets.length, 0);
-	t.deepEqual(deployResult.components.length, 5);
+	const buttonComponent = await deployer.nitroComponentResolver.getComponent('atoms/button');
+	const transferData = await deployer._generateComponentTransferData(buttonComponent);
+	t.is(transferData.description, 'A button<ul class="pattern-metadata">' +
+		'<li>Tags: form, action</li>' +
+		'<li>Version: 1.2.0</li>' +
+		'<li>Links: <a href="https://example.com/button?a=1&amp;b=2">Specification &lt;v2&gt;</a></li>' +
+		'</ul>');
+	t.deepEqual(transferData.tags, ['form', 'action']);
 	t.pass();
 });
 
-test('should deploy assets without any error', async t => {
+test('should validate the pattern.json against the schema extension', async t => {
 	const { componentDir, tmpDir } = await createTestEnvironment('valid');
 	const deployer = new NitroFrontifyDeployer({
 		rootDirectory: componentDir,
 		mapping: {
 			atoms: 'atom',
 		},
-		assetFolder: path.join(__dirname, 'fixtures'),
-		assetFilter: ['**/*.js', '**/*.css'],
 		compiler: compilerMock,
 		targetDir: tmpDir,
-		frontifyOptions: {
-			[act]: '3a8027e1809854d38d9703ba1af3ca77b2db7da7',
-			project: 92545,
-			baseUrl: 'https://app.frontify.com/',
-			dryRun: true,
+		schemaExtension: {
+			properties: {
+				owner: { type: 'string' },
+			},
+			required: ['owner'],
 		},
 	});
-
-	const deployResult = await deployer.deploy();
-	t.deepEqual(deployResult.assets.length, 2);
-	t.deepEqual(deployResult.components.length, 5);
+	const report = await deployer.getValidationReport();
+	t.deepEqual(deployer.options.schema.required, ['stability', 'owner']);
+	t.deepEqual(report.problems.map((problem) => `${problem.component} ${problem.type}`), ['atoms/button schema', 'atoms/radio schema']);
 	t.pass();
 });
 
-test('should clean the target folder', async t => {
+test('should only transfer the whitelisted properties', async t => {
 	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	await writeFile(path.join(componentDir, 'atoms', 'button', 'pattern.json'), JSON.stringify({
+		stability: 'stable',
+		description: 'A button',
+		tags: ['form'],
+	}));
 	const deployer = new NitroFrontifyDeployer({
 		rootDirectory: componentDir,
 		mapping: {
@@ -361,14 +828,2072 @@ test('should clean the target folder', async t => {
 		},
 		compiler: compilerMock,
 		targetDir: tmpDir,
+		transferProperties: ['stability', 'description'],
 	});
-	const htmlFile = path.join(tmpDir, 'atoms', 'button', 'example.html');
-	await deployer.buildComponents();
-	const existsBeforeClean = await fileExists(htmlFile);
-	await deployer.clean();
-	const existsAfterClean = await fileExists(htmlFile);
-	t.is(existsBeforeClean, true);
-	t.is(existsAfterClean, false);
+	const buttonComponent = await deployer.nitroComponentResolver.getComponent('atoms/button');
+	const transferData = await deployer._generateComponentTransferData(buttonComponent);
+	t.deepEqual(Object.keys(transferData).sort(), ['description', 'name', 'stability', 'type', 'variations']);
+	t.pass();
+});
+
+test('should render the component documentation as description', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	await writeFile(path.join(componentDir, 'atoms', 'button', 'readme.md'), '# Button\n\nUse it **wisely**.');
+	const config = {
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+	};
+	// The documentation is only published if the documentationFile option is set
+	const withoutDocumentation = await new NitroFrontifyDeployer(config).buildComponents();
+	t.is(withoutDocumentation.find((pattern) => pattern.name === 'button').description, undefined);
+	const deployer = new NitroFrontifyDeployer(Object.assign({}, config, { documentationFile: 'readme.md' }));
+	const transferData = await deployer.buildComponents();
+	const button = transferData.find((pattern) => pattern.name === 'button');
+	const radio = transferData.find((pattern) => pattern.name === 'radio');
+	t.true(button.description.indexOf('<strong>wisely</strong>') !== -1);
+	t.is(radio.description, undefined);
+	t.pass();
+});
+
+test('should publish the component documentation as pattern asset', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	await writeFile(path.join(componentDir, 'atoms', 'button', 'docs.md'), '# Button\n\nUse it **wisely**.');
+	const syncTarget = new NitroFrontifyDeployer.syncTargets.MemorySyncTarget();
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		documentationFile: 'docs.md',
+		documentationTarget: 'asset',
+		syncTarget,
+	});
+	await deployer.deploy();
+	const buttonPattern = JSON.parse(syncTarget.files.patterns['atoms/button/pattern.json']);
+	t.deepEqual(buttonPattern.assets, { html: ['atoms/button/docs.html'] });
+	t.is(buttonPattern.description, undefined);
+	t.true(syncTarget.files.patterns['atoms/button/docs.html'].indexOf('<strong>wisely</strong>') !== -1);
+	t.pass();
+});
+
+test('should include, exclude, name and order examples from the pattern.json', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	await writeFile(path.join(componentDir, 'atoms', 'button', 'pattern.json'), JSON.stringify({
+		stability: 'stable',
+		examples: {
+			_hidden: { include: true, name: 'Hidden state', order: 1 },
+			example: { order: 2 },
+		},
+	}));
+	await writeFile(path.join(componentDir, 'atoms', 'radio', 'pattern.json'), JSON.stringify({
+		stability: 'stable',
+		examples: {
+			mobile: { include: false },
+		},
+	}));
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+	});
+	const transferData = await deployer.buildComponents();
+	const button = transferData.find((pattern) => pattern.name === 'button');
+	const radio = transferData.find((pattern) => pattern.name === 'radio');
+	t.deepEqual(Object.keys(button.variations), ['_example/_hidden.hbs', '_example/example.hbs']);
+	t.deepEqual(button.variations['_example/_hidden.hbs'], { name: 'button -- Hidden state', assets: { html: ['atoms/button/_hidden.html'] } });
+	t.is(button.variations['_example/example.hbs'].name, 'button -- example');
+	t.deepEqual(Object.keys(radio.variations), ['_example/desktop.hbs']);
+	t.is((await readFile(path.join(tmpDir, 'atoms', 'button', '_hidden.html'))).toString(), 'THIS EXAMPLE SHOULD NOT BE DEPLOYED');
+	t.pass();
+});
+
+test('should select the examples by the examples option', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const config = {
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+	};
+	const allExamples = await new NitroFrontifyDeployer(Object.assign({}, config, { examples: 'all' })).buildComponents();
+	const globExamples = await new NitroFrontifyDeployer(Object.assign({}, config, { examples: ['_example/*.hbs', '!_example/example.hbs', '!_example/mobile.hbs'] })).buildComponents();
+	const getVariations = (transferData) => transferData
+		.map((pattern) => Object.keys(pattern.variations).map((variation) => `${pattern.name}/${variation}`))
+		.reduce((variations, patternVariations) => variations.concat(patternVariations), [])
+		.sort();
+	t.deepEqual(getVariations(allExamples), ['button/_example/_hidden.hbs', 'button/_example/example.hbs', 'radio/_example/desktop.hbs', 'radio/_example/mobile.hbs']);
+	t.deepEqual(getVariations(globExamples), ['button/_example/_hidden.hbs', 'radio/_example/desktop.hbs']);
+	t.pass();
+});
+
+test('should diff the local components against the published patterns', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const syncTarget = new NitroFrontifyDeployer.syncTargets.MemorySyncTarget();
+	const config = {
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncTarget,
+	};
+	await new NitroFrontifyDeployer(config).deploy();
+	await writeFile(path.join(componentDir, 'atoms', 'button', 'pattern.json'), JSON.stringify({
+		title: 'button',
+		stability: 'experimental',
+		properties: {},
+	}));
+	await rimraf(path.join(componentDir, 'atoms', 'radio', '_example', 'mobile.hbs'));
+	const diff = await new NitroFrontifyDeployer(config).diff();
+	t.is(diff.source, 'syncTarget');
+	t.true(diff.changed);
+	t.deepEqual(diff.added, []);
+	t.deepEqual(diff.removed, []);
+	t.deepEqual(diff.modified, [
+		{
+			component: 'atoms/button',
+			changes: [{ field: 'stability', from: 'stable', to: 'experimental', downgrade: true }],
+			variations: { added: [], removed: [], modified: [] },
+		},
+		{
+			component: 'atoms/radio',
+			changes: [],
+			variations: { added: [], removed: ['_example/mobile.hbs'], modified: [] },
+		},
+	]);
+	t.pass();
+});
+
+test('should diff the local components against the published manifest', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const publishedManifest = path.join(tmpDir, '..', 'published.json');
+	const config = {
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		publishedManifest,
+		// A sync target which can't read the published patterns
+		syncTarget: {
+			syncPatterns: () => Promise.resolve(),
+			syncAssets: () => Promise.resolve(),
+		},
+	};
+	await new NitroFrontifyDeployer(config).deploy();
+	const unchangedDiff = await new NitroFrontifyDeployer(config).diff();
+	const published = JSON.parse(await readFile(publishedManifest));
+	published.components['atoms/link'] = { name: 'link', type: 'atom', stability: 'stable', variations: {} };
+	published.components['atoms/radio'].variations['_example/desktop.hbs'].name = 'radio -- wide';
+	await writeFile(publishedManifest, JSON.stringify(published));
+	await copy(path.join(componentDir, 'atoms', 'button'), path.join(componentDir, 'atoms', 'icon'));
+	await writeFile(path.join(componentDir, 'atoms', 'button', 'pattern.json'), JSON.stringify({
+		stability: 'experimental',
+	}));
+	await rimraf(path.join(componentDir, 'atoms', 'radio', '_example', 'mobile.hbs'));
+	await writeFile(path.join(componentDir, 'atoms', 'radio', '_example', 'tablet.hbs'), 'Tablet');
+	const diff = await new NitroFrontifyDeployer(config).diff();
+	t.is(unchangedDiff.source, 'manifest');
+	t.is(patternDiff.toText(unchangedDiff), 'No changes');
+	t.is(diff.source, 'manifest');
+	t.is(patternDiff.toText(diff), [
+		'4 components changed:',
+		'  + atoms/icon',
+		'  - atoms/link',
+		'  ~ atoms/button',
+		'      stability: "stable" -> "experimental" (downgrade)',
+		'  ~ atoms/radio',
+		'      + variation _example/tablet.hbs',
+		'      - variation _example/mobile.hbs',
+		'      ~ variation _example/desktop.hbs name: "radio -- wide" -> "radio -- desktop"',
+	].join('\n'));
+	t.pass();
+});
+
+test('should diff the local components against the frontify pattern list', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const requests = [];
+	// A stub which stands in for the frontify api
+	const server = http.createServer((request, response) => {
+		requests.push(`${request.method} ${request.url}`);
+		response.writeHead(200, { 'Content-Type': 'application/json' });
+		response.end(JSON.stringify({
+			patterns: [
+				{ id: 1, id_api: 'atoms-button-pattern', name: 'Button', description: '' },
+				{ id: 2, id_api: 'atoms-button-pattern-example-example-hbs', name: 'button -- example', description: '' },
+				{ id: 3, id_api: 'atoms-link-pattern', name: 'link', description: '' },
+			],
+		}));
+	});
+	await new Promise((resolve) => server.listen(0, resolve));
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		frontifyOptions: {
+			[act]: '3a8027e1809854d38d9703ba1af3ca77b2db7da7',
+			project: 92545,
+			baseUrl: `http://localhost:${server.address().port}`,
+		},
+	});
+	const diff = await deployer.diff();
+	server.close();
+	t.deepEqual(requests, [`GET /v1/patterns/list/92545?${act}=3a8027e1809854d38d9703ba1af3ca77b2db7da7`]);
+	t.deepEqual(diff.added, ['atoms/radio']);
+	t.deepEqual(diff.removed, ['atoms-link-pattern']);
+	t.deepEqual(diff.modified, [{
+		component: 'atoms/button',
+		changes: [{ field: 'name', from: 'Button', to: 'button' }],
+		variations: { added: [], removed: [], modified: [] },
+	}]);
+	t.pass();
+});
+
+test('should report stability downgrades of frontify patterns using the published manifest', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const publishedManifest = path.join(tmpDir, '..', 'published.json');
+	const server = http.createServer((request, response) => {
+		response.writeHead(200, { 'Content-Type': 'application/json' });
+		response.end(JSON.stringify({
+			patterns: [
+				{ id: 1, id_api: 'atoms-button-pattern', name: 'button', description: '' },
+				{ id: 2, id_api: 'atoms-radio-pattern', name: 'radio', description: '' },
+			],
+		}));
+	});
+	await new Promise((resolve) => server.listen(0, resolve));
+	await writeFile(publishedManifest, JSON.stringify({
+		version: 1,
+		components: {
+			'atoms/button': { name: 'button', type: 'atom', stability: 'stable', variations: {} },
+		},
+	}));
+	await writeFile(path.join(componentDir, 'atoms', 'button', 'pattern.json'), JSON.stringify({
+		stability: 'experimental',
+	}));
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		publishedManifest,
+		frontifyOptions: {
+			[act]: '3a8027e1809854d38d9703ba1af3ca77b2db7da7',
+			project: 92545,
+			baseUrl: `http://localhost:${server.address().port}`,
+		},
+	});
+	const diff = await deployer.diff();
+	server.close();
+	t.is(diff.source, 'syncTarget');
+	// The radio stability is unknown as it is missing in the published manifest
+	t.deepEqual(diff.modified.map((component) => `${component.component}: ${component.changes.length} changes`),
+		['atoms/button: 1 changes', 'atoms/radio: 0 changes']);
+	t.deepEqual(diff.modified[0].changes, [{ field: 'stability', from: 'stable', to: 'experimental', downgrade: true }]);
+	t.pass();
+});
+
+test('should reject unreadable frontify pattern lists and pattern removals', async t => {
+	let statusCode = 500;
+	const server = http.createServer((request, response) => {
+		response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+		response.end('{ "patterns": ');
+	});
+	await new Promise((resolve) => server.listen(0, resolve));
+	const syncTarget = new NitroFrontifyDeployer.syncTargets.FrontifySyncTarget({
+		[act]: '3a8027e1809854d38d9703ba1af3ca77b2db7da7',
+		project: 92545,
+		baseUrl: `http://localhost:${server.address().port}/`,
+	});
+	const statusError = await getErrorMessage(() => syncTarget.getPublishedPatterns({}));
+	statusCode = 200;
+	const parseError = await getErrorMessage(() => syncTarget.getPublishedPatterns({}));
+	server.close();
+	const connectionError = await getErrorMessage(() => syncTarget.getPublishedPatterns({}));
+	t.is(statusError, 'Unable to get pattern library data - responded with status 500');
+	t.regex(parseError, /^Unable to get pattern library data - /);
+	t.regex(connectionError, /ECONNREFUSED/);
+	t.is(await getErrorMessage(() => syncTarget.removePatterns()),
+		'Frontify patterns can not be deleted - use the prune option "deprecate" instead');
+	t.pass();
+});
+
+test('should render a thumbnail of every variation', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const syncTarget = new NitroFrontifyDeployer.syncTargets.MemorySyncTarget();
+	const pages = [];
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncTarget,
+		thumbnails: {
+			renderer: (page) => {
+				pages.push(page);
+				return Promise.resolve(new Buffer(`PNG ${page.variation.name}`));
+			},
+			width: 800,
+		},
+	});
+	await deployer.deploy();
+	const buttonPattern = JSON.parse(syncTarget.files.patterns['atoms/button/pattern.json']);
+	const buttonPage = pages.find((page) => page.component === 'atoms/button');
+	t.is(buttonPattern.variations['_example/example.hbs'].thumbnail, 'atoms/button/example.png');
+	t.is((await readFile(path.join(tmpDir, 'atoms', 'button', 'example.png'))).toString(), 'PNG button -- example');
+	t.is(syncTarget.files.patterns['atoms/radio/mobile.png'], 'PNG radio -- mobile');
+	t.is(pages.length, 3);
+	t.is(buttonPage.width, 800);
+	t.is(buttonPage.height, 768);
+	t.true(buttonPage.html.indexOf('HELLO WORLD') !== -1);
+	t.pass();
+});
+
+test('should share one headless chrome between the puppeteer thumbnails and close it once it is idle', async t => {
+	const calls = [];
+	// A stub which stands in for puppeteer
+	const puppeteer = {
+		launch: () => {
+			calls.push('launch');
+			return Promise.resolve({
+				newPage: () => Promise.resolve({
+					setViewport: (viewport) => {
+						calls.push(`viewport ${viewport.width}x${viewport.height}`);
+						return Promise.resolve();
+					},
+					setContent: (html) => {
+						calls.push(`content ${html}`);
+						return Promise.resolve();
+					},
+					screenshot: () => Promise.resolve(new Buffer('PNG')),
+					close: () => Promise.resolve(),
+				}),
+				close: () => {
+					calls.push('close');
+					return Promise.resolve();
+				},
+			});
+		},
+	};
+	const missingPuppeteerError = await getErrorMessage(() => thumbnails.createPuppeteerRenderer()({ html: '' }));
+	const originalRequire = Module.prototype.require;
+	Module.prototype.require = function requireStub(id) {
+		return id === 'puppeteer' ? puppeteer : originalRequire.call(this, id);
+	};
+	try {
+		const renderer = thumbnails.createThumbnailRenderer('puppeteer');
+		const screenshots = await Promise.all([
+			renderer({ html: 'A', width: 800, height: 600 }),
+			renderer({ html: 'B', width: 800, height: 600 }),
+		]);
+		await new Promise((resolve) => setTimeout(resolve, 1100));
+		await renderer({ html: 'C', width: 400, height: 300 });
+		t.deepEqual(screenshots.map((screenshot) => screenshot.toString()), ['PNG', 'PNG']);
+	} finally {
+		Module.prototype.require = originalRequire;
+	}
+	t.is(missingPuppeteerError, 'The "puppeteer" thumbnail renderer requires puppeteer - run `npm install puppeteer`');
+	t.deepEqual(calls, [
+		'launch',
+		'viewport 800x600',
+		'viewport 800x600',
+		'content A',
+		'content B',
+		'close',
+		'launch',
+		'viewport 400x300',
+		'content C',
+	]);
+	t.pass();
+});
+
+test('should deploy without any error', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		frontifyOptions: {
+			[act]: '3a8027e1809854d38d9703ba1af3ca77b2db7da7',
+			project: 92545,
+			baseUrl: 'https://app.frontify.com/',
+			dryRun: true,
+		},
+	});
+
+	const deployResult = await deployer.deploy();
+	t.deepEqual(deployResult.assets.length, 0);
+	t.deepEqual(deployResult.components.length, 5);
+	t.pass();
+});
+
+test('should deploy without any error using process env tokens', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	process.env[actEnv] = '3a8027e1809854d38d9703ba1af3ca77b2db7da7';
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		frontifyOptions: {
+			project: 92545,
+			baseUrl: 'https://app.frontify.com/',
+			dryRun: true,
+		},
+	});
+
+	const deployResult = await deployer.deploy();
+	t.deepEqual(deployResult.assets.length, 0);
+	t.deepEqual(deployResult.components.length, 5);
+	t.pass();
+});
+
+test('should deploy assets without any error', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		assetFolder: path.join(__dirname, 'fixtures'),
+		assetFilter: ['**/*.js', '**/*.css'],
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		frontifyOptions: {
+			[act]: '3a8027e1809854d38d9703ba1af3ca77b2db7da7',
+			project: 92545,
+			baseUrl: 'https://app.frontify.com/',
+			dryRun: true,
+		},
+	});
+
+	const deployResult = await deployer.deploy();
+	t.deepEqual(deployResult.assets.length, 2);
+	t.deepEqual(deployResult.components.length, 5);
+	t.pass();
+});
+
+test('should list all patterns and assets in a dry run', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		assetFolder: path.join(__dirname, 'fixtures', 'assets'),
+		compiler: compilerMock,
+		targetDir: tmpDir,
+	});
+	const plan = await deployer.dryRun();
+	const expected = {
+		assets: [
+			{ file: 'library.css', type: 'css' },
+			{ file: 'library.js', type: 'js' },
+		],
+		components: [
+			{
+				file: 'atoms/button/pattern.json',
+				name: 'button',
+				type: 'atom',
+				variations: [
+					{ name: 'button -- example', assets: { html: ['atoms/button/example.html'] } },
+				],
+			},
+			{
+				file: 'atoms/radio/pattern.json',
+				name: 'radio',
+				type: 'atom',
+				variations: [
+					{ name: 'radio -- desktop', assets: { html: ['atoms/radio/desktop.html'] } },
+					{ name: 'radio -- mobile', assets: { html: ['atoms/radio/mobile.html'] } },
+				],
+			},
+		],
+		skipped: [],
+		pruned: [],
+		failed: [],
+	};
+	t.deepEqual(plan, expected);
+	t.pass();
+});
+
+test('should not call frontify if the dryRun option is set', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		dryRun: true,
+	});
+	const deployResult = await deployer.deploy();
+	t.deepEqual(deployResult.assets, []);
+	t.deepEqual(deployResult.components.map((component) => component.file), ['atoms/button/pattern.json', 'atoms/radio/pattern.json']);
+	t.pass();
+});
+
+test('should only rebuild changed components in incremental mode', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const config = {
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		incremental: true,
+	};
+	await new NitroFrontifyDeployer(config).buildComponents();
+	// The lower case compiler output proves which components were rebuild
+	const deployer = new NitroFrontifyDeployer(Object.assign({}, config, { compiler: (tpl) => () => tpl }));
+	await writeFile(path.join(componentDir, 'atoms', 'radio', '_example', 'mobile.hbs'), 'Changed Radio');
+	const transferData = await deployer.buildComponents();
+	const button = await readFile(path.join(tmpDir, 'atoms', 'button', 'example.html'));
+	const radio = await readFile(path.join(tmpDir, 'atoms', 'radio', 'mobile.html'));
+	t.is(button.toString(), 'HELLO WORLD');
+	t.is(radio.toString(), 'Changed Radio');
+	t.deepEqual(transferData.map((pattern) => pattern.name).sort(), ['button', 'radio']);
+	t.pass();
+});
+
+test('should only sync changed components in incremental mode', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		incremental: true,
+		syncTarget: new NitroFrontifyDeployer.syncTargets.MemorySyncTarget(),
+	});
+	const firstDeploy = await deployer.deploy();
+	await writeFile(path.join(componentDir, 'atoms', 'button', '_example', 'example.hbs'), 'Changed Button');
+	const secondDeploy = await deployer.deploy();
+	const thirdDeploy = await deployer.deploy();
+	t.deepEqual(firstDeploy.components, ['atoms/button/pattern.json', 'atoms/radio/pattern.json']);
+	t.deepEqual(firstDeploy.skipped, []);
+	t.deepEqual(secondDeploy.components, ['atoms/button/pattern.json']);
+	t.deepEqual(secondDeploy.skipped, ['atoms/radio']);
+	t.deepEqual(thirdDeploy.components, []);
+	t.deepEqual(thirdDeploy.skipped, ['atoms/button', 'atoms/radio']);
+	t.pass();
+});
+
+test('should rebuild all components in incremental mode if the build options changed', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const config = {
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		incremental: true,
+		syncTarget: new NitroFrontifyDeployer.syncTargets.MemorySyncTarget(),
+	};
+	await new NitroFrontifyDeployer(config).deploy();
+	const deployer = new NitroFrontifyDeployer(Object.assign({}, config, {
+		htmlOutput: { wrapper: '<div class="theme-dark">{{html}}</div>' },
+	}));
+	const result = await deployer.deploy();
+	const button = await readFile(path.join(tmpDir, 'atoms', 'button', 'example.html'));
+	t.deepEqual(result.components, ['atoms/button/pattern.json', 'atoms/radio/pattern.json']);
+	t.deepEqual(result.skipped, []);
+	t.is(button.toString(), '<div class="theme-dark">HELLO WORLD</div>');
+	t.pass();
+});
+
+test('should only list changed components in an incremental dry run', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		incremental: true,
+	});
+	const plan = await deployer.dryRun();
+	t.deepEqual(plan.components.map((component) => component.file), ['atoms/button/pattern.json', 'atoms/radio/pattern.json']);
+	t.deepEqual(plan.skipped, []);
+	t.pass();
+});
+
+test('should rebuild changed components in watch mode', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+	});
+	let watcher;
+	const rebuild = new Promise((resolve, reject) => {
+		deployer.watch({ debounce: 100, onChange: resolve, onError: reject }).then((readyWatcher) => {
+			watcher = readyWatcher;
+			return writeFile(path.join(componentDir, 'atoms', 'button', '_example', 'example.hbs'), 'Watched Button');
+		});
+	});
+	const result = await rebuild;
+	watcher.close();
+	const renderedTemplate = await readFile(path.join(tmpDir, 'atoms', 'button', 'example.html'));
+	t.deepEqual(result, { components: ['atoms/button'], synced: [] });
+	t.is(renderedTemplate.toString(), 'WATCHED BUTTON');
+	t.pass();
+});
+
+test('should report broken components in watch mode', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: (tpl) => () => {
+			if (tpl === 'Broken') {
+				throw new Error('Broken template');
+			}
+			return tpl;
+		},
+		targetDir: tmpDir,
+	});
+	const errorEvents = [];
+	deployer.on('error', (error) => errorEvents.push(error));
+	let watcher;
+	const failedRebuild = new Promise((resolve, reject) => {
+		deployer.watch({ debounce: 100, onChange: reject, onError: resolve }).then((readyWatcher) => {
+			watcher = readyWatcher;
+			return writeFile(path.join(componentDir, 'atoms', 'button', '_example', 'example.hbs'), 'Broken');
+		});
+	});
+	const error = await failedRebuild;
+	watcher.close();
+	t.is(error.name, 'ValidationReportError');
+	t.deepEqual(error.report.components, ['atoms/button']);
+	t.deepEqual(errorEvents, [error]);
+	t.false(await fileExists(path.join(tmpDir, 'atoms', 'button', 'example.html')));
+	t.pass();
+});
+
+test('should rebuild and sync the changed components of every target in watch mode', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const brandA = new NitroFrontifyDeployer.syncTargets.MemorySyncTarget();
+	const brandB = new NitroFrontifyDeployer.syncTargets.MemorySyncTarget();
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		targets: [
+			{ name: 'brand-a', syncTarget: brandA },
+			{ name: 'brand-b', syncTarget: brandB, exclude: ['atoms/button'] },
+		],
+	});
+	let watcher;
+	const rebuild = new Promise((resolve, reject) => {
+		deployer.watch({ sync: true, debounce: 100, onChange: resolve, onError: reject }).then((readyWatcher) => {
+			watcher = readyWatcher;
+			return writeFile(path.join(componentDir, 'atoms', 'button', '_example', 'example.hbs'), 'Watched Button');
+		});
+	});
+	const result = await rebuild;
+	watcher.close();
+	t.deepEqual(result, {
+		targets: [
+			{ name: 'brand-a', components: ['atoms/button'], synced: ['atoms/button/pattern.json'] },
+			{ name: 'brand-b', components: [], synced: [] },
+		],
+	});
+	t.is(brandA.files.patterns['atoms/button/example.html'], 'WATCHED BUTTON');
+	t.is(await fileExists(path.join(tmpDir, 'atoms', 'button', 'example.html')), false);
+	t.pass();
+});
+
+test('should sync the rebuilt components in watch mode', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		watch: true,
+		syncTarget: { type: 'memory' },
+	});
+	const result = await deployer._rebuildChangedFiles([path.join(componentDir, 'atoms', 'radio', 'pattern.json')], true);
+	t.deepEqual(result, { components: ['atoms/radio'], synced: ['atoms/radio/pattern.json'] });
+	t.pass();
+});
+
+test('should serve a preview of the build output', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		assetFolder: path.join(fixtures, 'assets'),
+		variationAssets: {
+			css: ['library.css'],
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+	});
+	await deployer.buildComponents();
+	const server = await deployer.preview({ port: 0 });
+	const indexPage = await httpGet(server.url);
+	const variationPage = await httpGet(`${server.url}atoms/button/example.html`);
+	const missingPage = await httpGet(`${server.url}atoms/missing.html`);
+	const malformedPage = await httpGet(`${server.url}%E0%A4%A`);
+	const outsidePage = await httpGet(`${server.url}..%2F..%2Fpattern.json`);
+	await server.close();
+	const libraryCss = await readFile(path.join(fixtures, 'assets', 'library.css'));
+	t.is(indexPage.statusCode, 200);
+	t.regex(indexPage.body, /<h2>atom<\/h2>/);
+	t.regex(indexPage.body, /<h3>radio <small>unstable<\/small><\/h3>/);
+	t.regex(indexPage.body, /<a href="atoms\/radio\/mobile.html">radio -- mobile<\/a>/);
+	t.is(variationPage.statusCode, 200);
+	t.true(variationPage.body.indexOf(`<style>\n${libraryCss.toString()}\n</style>`) !== -1);
+	t.true(variationPage.body.indexOf('HELLO WORLD') !== -1);
+	t.is(missingPage.statusCode, 404);
+	t.is(malformedPage.statusCode, 400);
+	t.is(outsidePage.statusCode, 403);
+	t.pass();
+});
+
+test('should sync patterns and assets to a custom sync target', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const synced = {};
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		assetFolder: path.join(fixtures, 'assets'),
+		variationAssets: {
+			css: ['library.css'],
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncTarget: (kind, entries) => {
+			synced[kind] = entries.map((entry) => entry.name);
+		},
+	});
+	const deployResult = await deployer.deploy();
+	t.deepEqual(deployResult.assets, ['library.css', 'library.js']);
+	t.deepEqual(deployResult.components, ['atoms/button/pattern.json', 'atoms/radio/pattern.json']);
+	t.deepEqual(synced.assets, ['library.css', 'library.js']);
+	t.deepEqual(synced.patterns.sort(), [
+		'_external/test/fixtures/assets/library.css',
+		'atoms/button/example.html',
+		'atoms/button/pattern.json',
+		'atoms/radio/desktop.html',
+		'atoms/radio/mobile.html',
+		'atoms/radio/pattern.json',
+	]);
+	t.pass();
+});
+
+test('should fingerprint the assets and rewrite their references', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const assetFolder = path.join(tmpDir, '..', 'assets');
+	await copy(path.join(fixtures, 'assets'), assetFolder);
+	await writeFile(path.join(componentDir, 'atoms', 'button', '_example', 'example.hbs'),
+		'<link href="/assets/library.css"><script src="/assets/library.js"></script>');
+	const syncTarget = new NitroFrontifyDeployer.syncTargets.MemorySyncTarget();
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		assetFolder,
+		variationAssets: {
+			css: ['library.css'],
+		},
+		fingerprintAssets: true,
+		htmlOutput: { format: false },
+		compiler: (tpl) => () => tpl,
+		targetDir: tmpDir,
+		syncTarget,
+	});
+	const deployResult = await deployer.deploy();
+	t.deepEqual(deployResult.assets, ['library.6d88c43c.css', 'library.c3fea322.js']);
+	t.deepEqual(Object.keys(syncTarget.files.assets).sort(), ['library.6d88c43c.css', 'library.c3fea322.js']);
+	t.deepEqual(JSON.parse(await readFile(path.join(tmpDir, '_assets', 'asset-manifest.json'))), {
+		'library.css': 'library.6d88c43c.css',
+		'library.js': 'library.c3fea322.js',
+	});
+	const buttonPattern = JSON.parse(syncTarget.files.patterns['atoms/button/pattern.json']);
+	t.deepEqual(buttonPattern.variations['_example/example.hbs'].assets.css, ['_assets/library.6d88c43c.css']);
+	t.is(syncTarget.files.patterns['atoms/button/example.html'],
+		'<link href="/assets/library.6d88c43c.css"><script src="/assets/library.c3fea322.js"></script>');
+	// A changed asset gets a new name and the old one is removed
+	await writeFile(path.join(assetFolder, 'library.css'), 'body { background: green; }');
+	await deployer.deploy();
+	const changedButtonPattern = JSON.parse(await readFile(path.join(tmpDir, 'atoms', 'button', 'pattern.json')));
+	t.notDeepEqual(changedButtonPattern.variations['_example/example.hbs'].assets.css, ['_assets/library.6d88c43c.css']);
+	t.false(await fileExists(path.join(tmpDir, '_assets', 'library.6d88c43c.css')));
+	t.pass();
+});
+
+test('should only rewrite the asset urls of the compiled examples', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const assetFolder = path.join(tmpDir, '..', 'assets');
+	await copy(path.join(fixtures, 'assets'), assetFolder);
+	await writeFile(path.join(componentDir, 'atoms', 'button', '_example', 'example.hbs'), [
+		'<link href="https://cdn.example.com/library.css">',
+		'<link href=\'//cdn.example.com/library.css\'>',
+		'<link href=\'/assets/library.css?v=1\'>',
+		'<div style="background: url(/assets/library.js)">Include library.css</div>',
+		'<code data-file="/assets/library.js">/assets/library.js</code>',
+	].join(''));
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		assetFolder,
+		fingerprintAssets: true,
+		htmlOutput: { format: false },
+		compiler: (tpl) => () => tpl,
+		targetDir: tmpDir,
+		syncTarget: new NitroFrontifyDeployer.syncTargets.MemorySyncTarget(),
+	});
+	await deployer.deploy();
+	t.is((await readFile(path.join(tmpDir, 'atoms', 'button', 'example.html'))).toString(), [
+		'<link href="https://cdn.example.com/library.css">',
+		'<link href=\'//cdn.example.com/library.css\'>',
+		'<link href=\'/assets/library.6d88c43c.css?v=1\'>',
+		'<div style="background: url(/assets/library.c3fea322.js)">Include library.css</div>',
+		'<code data-file="/assets/library.js">/assets/library.js</code>',
+	].join(''));
+	t.pass();
+});
+
+test('should only rewrite the asset references inside the content fields of the pattern.json', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const assetFolder = path.join(tmpDir, '..', 'assets');
+	await copy(path.join(fixtures, 'assets'), assetFolder);
+	// An asset which has the same name as the compiled example
+	await writeFile(path.join(assetFolder, 'example.html'), '<p>Asset</p>');
+	await writeFile(path.join(componentDir, 'atoms', 'button', 'pattern.json'), JSON.stringify({
+		stability: 'stable',
+		description: '<link href="/assets/library.css">',
+	}));
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		assetFolder,
+		fingerprintAssets: true,
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncTarget: new NitroFrontifyDeployer.syncTargets.MemorySyncTarget(),
+	});
+	await deployer.deploy();
+	const buttonPattern = JSON.parse(await readFile(path.join(tmpDir, 'atoms', 'button', 'pattern.json')));
+	t.is(buttonPattern.description, '<link href="/assets/library.6d88c43c.css">');
+	t.deepEqual(buttonPattern.variations['_example/example.hbs'].assets.html, ['atoms/button/example.html']);
+	t.pass();
+});
+
+test('should keep the synced files in a memory sync target', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const syncTarget = new NitroFrontifyDeployer.syncTargets.MemorySyncTarget();
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncTarget,
+	});
+	await deployer.deploy();
+	const buttonPattern = JSON.parse(syncTarget.files.patterns['atoms/button/pattern.json']);
+	t.is(buttonPattern.name, 'button');
+	t.is(syncTarget.files.patterns['atoms/button/example.html'], 'HELLO WORLD');
+	t.deepEqual(syncTarget.files.assets, {});
+	t.pass();
+});
+
+test('should export patterns and assets into a directory', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const exportDir = path.join(tmpDir, '..', 'export');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		assetFolder: path.join(fixtures, 'assets'),
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncTarget: { type: 'filesystem', directory: exportDir },
+	});
+	await deployer.deploy();
+	t.is(await fileExists(path.join(exportDir, 'patterns', 'atoms', 'radio', 'pattern.json')), true);
+	t.is(await fileExists(path.join(exportDir, 'patterns', 'atoms', 'radio', 'mobile.html')), true);
+	t.is(await fileExists(path.join(exportDir, 'assets', 'library.js')), true);
+	t.pass();
+});
+
+test('should post patterns and assets to a http endpoint', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const requests = [];
+	const server = http.createServer((request, response) => {
+		let body = '';
+		request.on('data', (chunk) => { body += chunk; });
+		request.on('end', () => {
+			requests.push({ headers: request.headers, body: JSON.parse(body) });
+			response.writeHead(requests.length === 1 ? 200 : 500);
+			response.end();
+		});
+	});
+	await new Promise((resolve) => server.listen(0, resolve));
+	const endpoint = `http://localhost:${server.address().port}/styleguide`;
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncTarget: {
+			type: 'http',
+			url: endpoint,
+			headers: { 'X-Token': 'secret' },
+		},
+	});
+	const deployResult = await deployer.deploy();
+	const errorMessage = await getErrorMessage(() => deployer.deploy());
+	server.close();
+	t.deepEqual(deployResult.components, ['atoms/button/pattern.json', 'atoms/radio/pattern.json']);
+	t.is(requests[0].headers['x-token'], 'secret');
+	t.is(requests[0].body.kind, 'patterns');
+	const exampleFile = requests[0].body.files.find((file) => file.name === 'atoms/button/example.html');
+	t.is(new Buffer(exampleFile.content, 'base64').toString(), 'HELLO WORLD');
+	t.is(errorMessage, `"${endpoint}" responded with status 500`);
+	t.pass();
+});
+
+test('should delete removed components from the sync target', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const syncTarget = new NitroFrontifyDeployer.syncTargets.MemorySyncTarget();
+	const config = {
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncTarget,
+		prune: 'delete',
+	};
+	const firstDeploy = await new NitroFrontifyDeployer(config).deploy();
+	await rimraf(path.join(componentDir, 'atoms', 'radio'));
+	const secondDeploy = await new NitroFrontifyDeployer(config).deploy();
+	t.deepEqual(firstDeploy.pruned, []);
+	t.deepEqual(secondDeploy.pruned, [{ component: 'atoms/radio', name: 'radio', action: 'deleted' }]);
+	t.deepEqual(secondDeploy.components, ['atoms/button/pattern.json']);
+	t.deepEqual(Object.keys(syncTarget.files.patterns).sort(), ['atoms/button/example.html', 'atoms/button/pattern.json']);
+	t.pass();
+});
+
+test('should diff and delete removed components of the filesystem, custom and http sync targets', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const exportDir = path.join(tmpDir, '..', 'export');
+	const customCalls = [];
+	const httpCalls = [];
+	const server = http.createServer((request, response) => {
+		let body = '';
+		request.on('data', (chunk) => { body += chunk; });
+		request.on('end', () => {
+			const data = JSON.parse(body);
+			httpCalls.push(`${data.action} ${data.kind}: ${data.files.map((file) => file.name).join(', ')}`);
+			response.writeHead(200);
+			response.end();
+		});
+	});
+	await new Promise((resolve) => server.listen(0, resolve));
+	const config = {
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		prune: 'delete',
+		targets: [
+			{ name: 'filesystem', syncTarget: { type: 'filesystem', directory: exportDir } },
+			{
+				name: 'custom',
+				syncTarget: (kind, entries, action) => {
+					customCalls.push(`${action} ${kind}: ${entries.map((entry) => entry.name).join(', ')}`);
+				},
+			},
+			{ name: 'http', syncTarget: { type: 'http', url: `http://localhost:${server.address().port}` } },
+		],
+	};
+	await new NitroFrontifyDeployer(config).deploy();
+	await rimraf(path.join(componentDir, 'atoms', 'radio'));
+	const diff = await new NitroFrontifyDeployer(config).diff();
+	const secondDeploy = await new NitroFrontifyDeployer(config).deploy();
+	server.close();
+	// The filesystem target reads the published patterns - the others fall back to the published manifest
+	t.deepEqual(diff.targets.map((target) => `${target.name}: ${target.source} ${target.removed.join(', ')}`), [
+		'filesystem: syncTarget atoms/radio',
+		'custom: manifest atoms/radio',
+		'http: manifest atoms/radio',
+	]);
+	t.deepEqual(secondDeploy.targets.map((target) => target.pruned), [
+		[{ component: 'atoms/radio', name: 'radio', action: 'deleted' }],
+		[{ component: 'atoms/radio', name: 'radio', action: 'deleted' }],
+		[{ component: 'atoms/radio', name: 'radio', action: 'deleted' }],
+	]);
+	t.false(await fileExists(path.join(exportDir, 'patterns', 'atoms', 'radio', 'pattern.json')));
+	t.true(await fileExists(path.join(exportDir, 'patterns', 'atoms', 'button', 'pattern.json')));
+	t.is(customCalls[customCalls.length - 1], 'remove patterns: atoms/radio/pattern.json');
+	t.is(httpCalls[httpCalls.length - 1], 'remove patterns: atoms/radio/pattern.json');
+	t.pass();
+});
+
+test('should deprecate removed components only once', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const syncTarget = new NitroFrontifyDeployer.syncTargets.MemorySyncTarget();
+	const config = {
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncTarget,
+		prune: 'deprecate',
+	};
+	await new NitroFrontifyDeployer(config).deploy();
+	await rimraf(path.join(componentDir, 'atoms', 'radio'));
+	const dryRun = await new NitroFrontifyDeployer(Object.assign({}, config, { dryRun: true })).deploy();
+	const secondDeploy = await new NitroFrontifyDeployer(config).deploy();
+	const thirdDeploy = await new NitroFrontifyDeployer(config).deploy();
+	const radioPattern = JSON.parse(syncTarget.files.patterns['atoms/radio/pattern.json']);
+	t.deepEqual(dryRun.pruned, [{ component: 'atoms/radio', name: 'radio', action: 'deprecated' }]);
+	t.deepEqual(secondDeploy.pruned, [{ component: 'atoms/radio', name: 'radio', action: 'deprecated' }]);
+	t.deepEqual(thirdDeploy.pruned, []);
+	t.deepEqual(radioPattern, {
+		name: '[Deprecated] radio',
+		description: 'This component was removed from the component library and is no longer maintained.',
+		type: 'atom',
+		stability: 'deprecated',
+		variations: {},
+	});
+	t.true(await fileExists(path.join(path.dirname(tmpDir), 'frontify-deployer-published-tmp.json')));
+	t.pass();
+});
+
+test('should keep the published manifests of sibling target directories apart', async t => {
+	const brandA = await createTestEnvironment('valid');
+	const brandB = await createTestEnvironment('valid');
+	await rimraf(path.join(brandB.componentDir, 'atoms', 'radio'));
+	const createDeployer = (environment, name) => new NitroFrontifyDeployer({
+		rootDirectory: environment.componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: path.join(tmp, 'sibling-targets', name),
+		syncTarget: new NitroFrontifyDeployer.syncTargets.MemorySyncTarget(),
+		prune: 'delete',
+	});
+	await createDeployer(brandA, 'brand-a').deploy();
+	const brandBDeploy = await createDeployer(brandB, 'brand-b').deploy();
+	t.deepEqual(brandBDeploy.pruned, []);
+	t.true(await fileExists(path.join(tmp, 'sibling-targets', 'frontify-deployer-published-brand-a.json')));
+	t.true(await fileExists(path.join(tmp, 'sibling-targets', 'frontify-deployer-published-brand-b.json')));
+	t.pass();
+});
+
+test('should only write the published manifest if it is needed', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const publishedManifest = path.join(tmpDir, '..', 'published', 'components.json');
+	const config = {
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncTarget: new NitroFrontifyDeployer.syncTargets.MemorySyncTarget(),
+	};
+	await new NitroFrontifyDeployer(config).deploy();
+	t.false(await fileExists(path.join(path.dirname(tmpDir), 'frontify-deployer-published-tmp.json')));
+	await new NitroFrontifyDeployer(Object.assign({}, config, { publishedManifest })).deploy();
+	t.deepEqual(Object.keys(JSON.parse(await readFile(publishedManifest)).components).sort(),
+		['atoms/button', 'atoms/radio']);
+	t.pass();
+});
+
+test('should throw for unknown prune options', t => {
+	t.throws(() => new NitroFrontifyDeployer({
+		rootDirectory: path.join(fixtures, 'valid', 'components'),
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmp,
+		prune: 'remove',
+	}), /Please specify either "deprecate" or "delete" as prune option/);
+	t.pass();
+});
+
+test('should throw for unknown sync target types', t => {
+	t.throws(() => new NitroFrontifyDeployer({
+		rootDirectory: path.join(fixtures, 'valid', 'components'),
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmp,
+		syncTarget: { type: 'ftp' },
+	}), /Unknown sync target type "ftp"/);
+	t.pass();
+});
+
+test('should create the frontify sync target by type', t => {
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: path.join(fixtures, 'valid', 'components'),
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmp,
+		frontifyOptions: { project: 92545 },
+		syncTarget: { type: 'frontify' },
+	});
+	t.true(deployer.syncTarget instanceof NitroFrontifyDeployer.syncTargets.FrontifySyncTarget);
+	t.pass();
+});
+
+test('should reject file sync targets which do not implement write and remove', async t => {
+	const syncTarget = new NitroFrontifyDeployer.syncTargets.FileSyncTarget();
+	t.is(await getErrorMessage(() => syncTarget.syncAssets(path.join(fixtures, 'assets'), ['*.css'])),
+		'FileSyncTarget has to implement write()');
+	t.is(await getErrorMessage(() => syncTarget.removePatterns(tmp, ['atoms/button/pattern.json'])),
+		'FileSyncTarget has to implement remove()');
+	t.pass();
+});
+
+test('should throw for invalid concurrency options', t => {
+	const config = {
+		rootDirectory: path.join(fixtures, 'valid', 'components'),
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmp,
+	};
+	t.throws(() => new NitroFrontifyDeployer(Object.assign({}, config, { syncOptions: { concurrency: 0 } })),
+		/Please specify a positive integer as sync concurrency/);
+	t.throws(() => new NitroFrontifyDeployer(Object.assign({}, config, { buildOptions: { concurrency: '2' } })),
+		/Please specify a positive integer as build concurrency/);
+	t.pass();
+});
+
+// The frontify api caches the pattern library of a project for all deployers - run it before the concurrent tests
+test.serial('should retry failed frontify requests with a limited concurrency', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const postedPatterns = [];
+	let postRequests = 0;
+	let runningPostRequests = 0;
+	let maxRunningPostRequests = 0;
+	// A stub which stands in for the frontify api and rejects the first upload
+	const server = http.createServer((request, response) => {
+		let body = '';
+		request.on('data', (chunk) => { body += chunk; });
+		request.on('end', () => {
+			if (request.method === 'GET') {
+				response.writeHead(200, { 'Content-Type': 'application/json' });
+				response.end(JSON.stringify({ patterns: [] }));
+				return;
+			}
+			postRequests++;
+			runningPostRequests++;
+			maxRunningPostRequests = Math.max(maxRunningPostRequests, runningPostRequests);
+			setTimeout(() => {
+				runningPostRequests--;
+				if (postRequests === 1) {
+					response.writeHead(503, { 'Content-Type': 'application/json' });
+					response.end(JSON.stringify({ success: false }));
+					return;
+				}
+				const patterns = JSON.parse(body).patterns;
+				postedPatterns.push(...patterns.map((pattern) => pattern.id_api));
+				response.writeHead(200, { 'Content-Type': 'application/json' });
+				response.end(JSON.stringify({ success: true, patterns }));
+			}, 20);
+		});
+	});
+	await new Promise((resolve) => server.listen(0, resolve));
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		frontifyOptions: {
+			[act]: '3a8027e1809854d38d9703ba1af3ca77b2db7da7',
+			project: 92545,
+			baseUrl: `http://localhost:${server.address().port}`,
+		},
+		syncOptions: {
+			batchSize: 1,
+			concurrency: 1,
+			retries: 2,
+			retryDelay: 10,
+		},
+	});
+	const deployResult = await deployer.deploy();
+	server.close();
+	t.is(deployResult.components.length, 5);
+	t.is(postRequests, 3);
+	t.is(maxRunningPostRequests, 1);
+	t.deepEqual(postedPatterns.sort(), [
+		'atoms-button-pattern',
+		'atoms-button-pattern-example-example-hbs',
+		'atoms-radio-pattern',
+		'atoms-radio-pattern-example-desktop-hbs',
+		'atoms-radio-pattern-example-mobile-hbs',
+	]);
+	t.pass();
+});
+
+test('should only retry server and network errors', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	let requests = 0;
+	const server = http.createServer((request, response) => {
+		requests++;
+		response.writeHead(403);
+		response.end();
+	});
+	await new Promise((resolve) => server.listen(0, resolve));
+	const config = {
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncOptions: {
+			retries: 3,
+			retryDelay: 10000,
+		},
+	};
+	const start = Date.now();
+	const clientError = await new NitroFrontifyDeployer(Object.assign({}, config, {
+		syncTarget: { type: 'http', url: `http://localhost:${server.address().port}` },
+	})).deploy().catch((deployError) => deployError);
+	server.close();
+	const configError = await new NitroFrontifyDeployer(Object.assign({}, config, {
+		syncTarget: new NitroFrontifyDeployer.syncTargets.FrontifySyncTarget({ project: 92545 }),
+	})).deploy().catch((deployError) => deployError);
+	t.true(Date.now() - start < 5000);
+	t.is(requests, 1);
+	t.deepEqual(clientError.report.patterns.batches.map((batch) => batch.attempts), [1]);
+	t.deepEqual(configError.report.patterns.batches.map((batch) => batch.attempts), [1]);
+	t.is(configError.message, 'Please specify a frontify token');
+	t.pass();
+});
+
+test('should report failed batches and only resend them during the next incremental deploy', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const requests = [];
+	let radioFails = true;
+	const server = http.createServer((request, response) => {
+		let body = '';
+		request.on('data', (chunk) => { body += chunk; });
+		request.on('end', () => {
+			const fileNames = JSON.parse(body).files.map((file) => file.name);
+			requests.push(fileNames);
+			response.writeHead(radioFails && fileNames.indexOf('atoms/radio/pattern.json') !== -1 ? 429 : 200);
+			response.end();
+		});
+	});
+	await new Promise((resolve) => server.listen(0, resolve));
+	const endpoint = `http://localhost:${server.address().port}/styleguide`;
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		incremental: true,
+		syncTarget: { type: 'http', url: endpoint },
+		syncOptions: {
+			batchSize: 1,
+			retries: 1,
+			retryDelay: 10,
+		},
+	});
+	let syncError;
+	try {
+		await deployer.deploy();
+	} catch (e) {
+		syncError = e;
+	}
+	radioFails = false;
+	const secondDeploy = await deployer.deploy();
+	server.close();
+	t.true(syncError instanceof NitroFrontifyDeployer.errors.SyncError);
+	t.is(syncError.message, `"${endpoint}" responded with status 429`);
+	t.deepEqual(syncError.report.patterns.succeeded, ['atoms/button/pattern.json']);
+	t.deepEqual(syncError.report.patterns.failed, ['atoms/radio/pattern.json']);
+	t.deepEqual(syncError.report.patterns.batches.map((batch) => batch.attempts), [1, 2]);
+	// 1 button request, 2 failed radio requests and the resent radio request
+	t.is(requests.length, 4);
+	t.deepEqual(secondDeploy.components, ['atoms/radio/pattern.json']);
+	t.pass();
+});
+
+test('should only deploy the components which match the stability option', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const syncTarget = new NitroFrontifyDeployer.syncTargets.MemorySyncTarget();
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncTarget,
+		stability: ['!unstable'],
+	});
+	const deployResult = await deployer.deploy();
+	t.deepEqual(deployResult.components, ['atoms/button/pattern.json']);
+	t.pass();
+});
+
+test('should only validate, build and sync the selected components', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const syncTarget = new NitroFrontifyDeployer.syncTargets.MemorySyncTarget();
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncTarget,
+		prune: 'delete',
+		incremental: true,
+	});
+	await deployer.deploy();
+	await writeFile(path.join(componentDir, 'atoms', 'button', '_example', 'example.hbs'), 'Changed button');
+	await writeFile(path.join(componentDir, 'atoms', 'radio', '_example', 'mobile.hbs'), 'Changed radio');
+	const validated = [];
+	deployer.on('component:validated', (event) => validated.push(event.component));
+	const deployResult = await deployer.deploy({ components: ['atoms/radio'] });
+	t.deepEqual(validated, ['atoms/radio']);
+	t.deepEqual(deployResult.components, ['atoms/radio/pattern.json']);
+	t.deepEqual(deployResult.pruned, []);
+	t.is(syncTarget.files.patterns['atoms/radio/mobile.html'], 'CHANGED RADIO');
+	t.is(syncTarget.files.patterns['atoms/button/example.html'], 'HELLO WORLD');
+	// The button is still deployed with the next full deploy
+	const fullDeployResult = await deployer.deploy();
+	t.deepEqual(fullDeployResult.components, ['atoms/button/pattern.json']);
+	t.deepEqual(fullDeployResult.skipped, ['atoms/radio']);
+	t.is(await getErrorMessage(() => deployer.deploy({ components: ['atoms/link'] })),
+		'Unknown component "atoms/link" - it does not exist or is excluded by the include, exclude or stability option');
+	t.pass();
+});
+
+test('should only deploy the components which changed since the given git ref', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const assetFolder = path.join(tmpDir, '..', 'assets');
+	await copy(path.join(fixtures, 'assets'), assetFolder);
+	// The repository contains the components and the assets
+	const git = (args) => execSync(`git ${args}`, { cwd: path.dirname(componentDir), stdio: 'ignore' });
+	git('init');
+	git('add components assets');
+	git('-c user.name=test -c user.email=test@example.com commit -m "Initial commit"');
+	const syncTarget = new NitroFrontifyDeployer.syncTargets.MemorySyncTarget();
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		assetFolder,
+		variationAssets: {
+			css: ['library.css'],
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncTarget,
+		since: 'HEAD',
+	});
+	const unchangedResult = await deployer.deploy();
+	t.deepEqual(unchangedResult.components, []);
+	await writeFile(path.join(componentDir, 'atoms', 'radio', '_example', 'mobile.hbs'), 'Changed radio');
+	const deployResult = await deployer.deploy();
+	t.deepEqual(deployResult.components, ['atoms/radio/pattern.json']);
+	t.is(syncTarget.files.patterns['atoms/radio/mobile.html'], 'CHANGED RADIO');
+	t.is(syncTarget.files.patterns['atoms/button/example.html'], undefined);
+	// A changed global variation asset affects all components
+	await writeFile(path.join(assetFolder, 'library.css'), 'body { background: green; }');
+	const assetDeployResult = await deployer.deploy();
+	t.deepEqual(assetDeployResult.components, ['atoms/button/pattern.json', 'atoms/radio/pattern.json']);
+	t.is(syncTarget.files.patterns['atoms/button/example.html'], 'HELLO WORLD');
+	t.pass();
+});
+
+test('should deploy every target with its own components, names and example data', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const brandA = new NitroFrontifyDeployer.syncTargets.MemorySyncTarget();
+	const brandB = new NitroFrontifyDeployer.syncTargets.MemorySyncTarget();
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: (tpl) => (data) => `${data.theme} ${tpl}`,
+		targetDir: tmpDir,
+		targets: [
+			{
+				name: 'brand-a',
+				syncTarget: brandA,
+				include: 'atoms/button',
+				componentNameProcessor: (name) => `A ${name}`,
+				exampleData: { theme: 'a' },
+			},
+			{
+				name: 'brand-b',
+				syncTarget: brandB,
+				exclude: 'atoms/button',
+				exampleData: { theme: 'b' },
+			},
+		],
+	});
+	const deployResult = await deployer.deploy();
+	t.deepEqual(deployResult.targets.map((target) => `${target.name}: ${target.components.join(', ')}`), [
+		'brand-a: atoms/button/pattern.json',
+		'brand-b: atoms/radio/pattern.json',
+	]);
+	t.is(JSON.parse(brandA.files.patterns['atoms/button/pattern.json']).name, 'A button');
+	t.is(brandA.files.patterns['atoms/button/example.html'], 'a Hello World');
+	t.is(brandB.files.patterns['atoms/radio/mobile.html'].indexOf('b '), 0);
+	t.is(await fileExists(path.join(tmpDir, 'brand-a', 'atoms', 'button', 'pattern.json')), true);
+	t.is(await fileExists(path.join(tmpDir, 'brand-a', 'atoms', 'radio', 'pattern.json')), false);
+	t.pass();
+});
+
+test('should validate every deploy target', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		targets: [
+			{ name: 'brand-a' },
+			{ name: 'brand-b', mapping: {}, include: 'atoms/button' },
+		],
+	});
+	const report = await deployer.getValidationReport();
+	let validationError;
+	try {
+		await deployer.validateComponents();
+	} catch (e) {
+		validationError = e;
+	}
+	t.false(report.valid);
+	t.deepEqual(report.components, ['brand-a:atoms/button', 'brand-a:atoms/radio', 'brand-b:atoms/button']);
+	t.deepEqual(report.problems.map((problem) => `${problem.component}: ${problem.message}`), [
+		'brand-b:atoms/button: No type for "atoms/button" - add it to the mapping or set defaultType',
+	]);
+	t.is(validationError.target, 'brand-b');
+	t.pass();
+});
+
+test('should build, dry run and diff every deploy target', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		targets: [
+			{ name: 'brand-a', syncTarget: new NitroFrontifyDeployer.syncTargets.MemorySyncTarget() },
+			{
+				name: 'brand-b',
+				syncTarget: new NitroFrontifyDeployer.syncTargets.MemorySyncTarget(),
+				exclude: 'atoms/button',
+			},
+		],
+	});
+	const transferData = await deployer.buildComponents();
+	const dryRun = await deployer.dryRun();
+	const diff = await deployer.diff();
+	t.deepEqual(transferData.map((pattern) => pattern.name), ['button', 'radio', 'radio']);
+	t.true(await fileExists(path.join(tmpDir, 'brand-a', 'atoms', 'button', 'example.html')));
+	t.false(await fileExists(path.join(tmpDir, 'brand-b', 'atoms', 'button', 'example.html')));
+	t.deepEqual(dryRun.targets.map((target) => `${target.name}: ${target.components.map((component) => component.file).join(', ')}`), [
+		'brand-a: atoms/button/pattern.json, atoms/radio/pattern.json',
+		'brand-b: atoms/radio/pattern.json',
+	]);
+	t.deepEqual(diff.targets.map((target) => `${target.name}: ${target.added.join(', ')}`), [
+		'brand-a: atoms/button, atoms/radio',
+		'brand-b: atoms/radio',
+	]);
+	t.pass();
+});
+
+test('should build the valid components of every deploy target', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: (tpl) => () => {
+			if (tpl === 'Broken') {
+				throw new Error('Broken template');
+			}
+			return tpl;
+		},
+		targetDir: tmpDir,
+		buildOptions: {
+			continueOnError: true,
+		},
+		targets: [
+			{ name: 'brand-a' },
+			{ name: 'brand-b', exclude: 'atoms/button' },
+		],
+	});
+	await writeFile(path.join(componentDir, 'atoms', 'button', '_example', 'example.hbs'), 'Broken');
+	const buildResult = await deployer.build();
+	const buttonTemplate = path.join(componentDir, 'atoms', 'button', '_example', 'example.hbs');
+	t.deepEqual(buildResult.targets.map((target) => target.name), ['brand-a', 'brand-b']);
+	t.deepEqual(buildResult.targets.map((target) => target.components.map((pattern) => pattern.name)), [
+		['radio'],
+		['radio'],
+	]);
+	t.deepEqual(buildResult.targets.map((target) => target.failed), [
+		[{ component: 'atoms/button', message: `"${buttonTemplate}" Broken template` }],
+		[],
+	]);
+	t.true(await fileExists(path.join(tmpDir, 'brand-b', 'atoms', 'radio', 'pattern.json')));
+	t.pass();
+});
+
+test('should serve a preview of every deploy target', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		targets: [
+			{ name: 'brand-a' },
+			{ name: 'brand-b', exclude: 'atoms/button' },
+		],
+	});
+	await deployer.buildComponents();
+	const previewDirs = await deployer.buildPreview();
+	const server = await deployer.preview({ port: 0 });
+	const brandAPage = await httpGet(`${server.targets[0].url}atoms/button/example.html`);
+	const brandBPage = await httpGet(`${server.targets[1].url}atoms/button/example.html`);
+	await server.close();
+	t.deepEqual(previewDirs, {
+		targets: [
+			{ name: 'brand-a', previewDir: path.join(tmpDir, 'brand-a', '_preview') },
+			{ name: 'brand-b', previewDir: path.join(tmpDir, 'brand-b', '_preview') },
+		],
+	});
+	t.deepEqual(server.targets.map((target) => target.name), ['brand-a', 'brand-b']);
+	t.is(brandAPage.statusCode, 200);
+	t.is(brandBPage.statusCode, 404);
+	t.pass();
+});
+
+test('should annotate errors with the failing deploy target', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		targets: [
+			{ name: 'brand-a', syncTarget: new NitroFrontifyDeployer.syncTargets.MemorySyncTarget() },
+			{ name: 'brand-b', mapping: {} },
+		],
+	});
+	let deployError;
+	try {
+		await deployer.deploy();
+	} catch (e) {
+		deployError = e;
+	}
+	t.is(deployError.target, 'brand-b');
+	t.is(deployError.code, 'VALIDATION_ERROR');
+	t.pass();
+});
+
+test('should emit progress events with timings', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		assetFolder: path.join(fixtures, 'assets'),
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncTarget: new NitroFrontifyDeployer.syncTargets.MemorySyncTarget(),
+	});
+	const events = {};
+	NitroFrontifyDeployer.reporters.EVENTS.forEach((eventName) => {
+		events[eventName] = [];
+		deployer.on(eventName, (event) => events[eventName].push(event));
+	});
+	await deployer.deploy();
+	t.deepEqual(events['component:validated'].map((event) => event.component).sort(), ['atoms/button', 'atoms/radio']);
+	t.true(events['component:validated'].every((event) => event.valid && typeof event.duration === 'number'));
+	t.deepEqual(events['example:compiled'].map((event) => event.file).sort(), ['atoms/button/example.html', 'atoms/radio/desktop.html', 'atoms/radio/mobile.html']);
+	t.deepEqual(events['component:built'].map((event) => event.component).sort(), ['atoms/button', 'atoms/radio']);
+	t.deepEqual(events['pattern:synced'].map((event) => event.file), ['atoms/button/pattern.json', 'atoms/radio/pattern.json']);
+	t.deepEqual(events['asset:synced'].map((event) => event.file), ['library.css', 'library.js']);
+	t.is(events['deploy:done'][0].patterns, 2);
+	t.is(events['deploy:done'][0].assets, 2);
+	t.deepEqual(events.error, []);
+	t.pass();
+});
+
+test('should write the progress as human readable lines', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	let output = '';
+	const stream = { write: (text) => { output += text; } };
+	const config = {
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		assetFolder: path.join(fixtures, 'assets'),
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		syncTarget: new NitroFrontifyDeployer.syncTargets.MemorySyncTarget(),
+		reporter: NitroFrontifyDeployer.reporters.createConsoleReporter(stream),
+	};
+	await new NitroFrontifyDeployer(config).deploy();
+	const deployLines = output.split('\n');
+	output = '';
+	await rimraf(path.join(componentDir, 'atoms', 'radio', '_example'));
+	await getErrorMessage(() => new NitroFrontifyDeployer(config).deploy());
+	const errorLines = output.split('\n');
+	t.true(deployLines.slice(0, -1).every((line) => (/ \(\d+ms\)$/).test(line)));
+	t.deepEqual(deployLines.map((line) => line.replace(/ \(\d+ms\)$/, '')).sort(), [
+		'',
+		'built atoms/button',
+		'built atoms/radio',
+		'compiled atoms/button/example.html',
+		'compiled atoms/radio/desktop.html',
+		'compiled atoms/radio/mobile.html',
+		'deployed 2 patterns and 2 assets',
+		'synced asset library.css',
+		'synced asset library.js',
+		'synced pattern atoms/button/pattern.json',
+		'synced pattern atoms/radio/pattern.json',
+		'validated atoms/button',
+		'validated atoms/radio',
+	]);
+	t.true(errorLines.some((line) => (/^invalid atoms\/radio - 1 problem \(\d+ms\)$/).test(line)));
+	t.deepEqual(errorLines.slice(-3), [
+		'error ValidationReportError: Component validation failed - 1 problem found:',
+		'  [examples] atoms/radio: No examples found.',
+		'',
+	]);
+	t.pass();
+});
+
+test('should emit an error event if the deploy fails', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('invalid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+	});
+	const errorEvents = [];
+	deployer.on('error', (error) => errorEvents.push(error));
+	const errorMessage = await getErrorMessage(() => deployer.deploy());
+	t.is(errorEvents.length, 1);
+	t.is(errorEvents[0].message, errorMessage);
+	t.pass();
+});
+
+test('should clean the target folder', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+	});
+	const htmlFile = path.join(tmpDir, 'atoms', 'button', 'example.html');
+	await deployer.buildComponents();
+	const existsBeforeClean = await fileExists(htmlFile);
+	await deployer.clean();
+	const existsAfterClean = await fileExists(htmlFile);
+	t.is(existsBeforeClean, true);
+	t.is(existsAfterClean, false);
+	t.pass();
+});
+
+test('should remove the incremental build manifest when cleaning', async t => {
+	const { componentDir, tmpDir } = await createTestEnvironment('valid');
+	const deployer = new NitroFrontifyDeployer({
+		rootDirectory: componentDir,
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: compilerMock,
+		targetDir: tmpDir,
+		incremental: true,
+	});
+	const manifestFile = path.join(tmpDir, 'frontify-deployer-manifest.json');
+	await deployer.buildComponents();
+	const existsBeforeClean = await fileExists(manifestFile);
+	await deployer.clean();
+	const existsAfterClean = await fileExists(manifestFile);
+	t.is(existsBeforeClean, true);
+	t.is(existsAfterClean, false);
+	t.pass();
+});
+
+const createCliEnvironment = async(environment = 'valid') => {
+	const { componentDir } = await createTestEnvironment(environment);
+	const cwd = path.dirname(componentDir);
+	await writeFile(path.join(cwd, 'compiler.js'), compilerMockSource);
+	await writeFile(path.join(cwd, 'frontify-deployer.config.json'), JSON.stringify({
+		rootDirectory: 'components',
+		targetDir: 'tmp',
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: './compiler.js',
+	}));
+	const output = { stdout: '', stderr: '' };
+	const io = {
+		cwd,
+		stdout: { write: (text) => { output.stdout += text; } },
+		stderr: { write: (text) => { output.stderr += text; } },
+	};
+	return { cwd, io, output };
+};
+
+test('cli should validate the components from the config file', async t => {
+	const { io, output } = await createCliEnvironment('valid');
+	const exitCode = await cli.run(['validate'], io);
+	t.is(exitCode, cli.EXIT_CODES.SUCCESS);
+	t.is(output.stdout, 'All components are valid\n');
+	t.pass();
+});
+
+test('cli should exit with the validation exit code for invalid components', async t => {
+	const { io, output } = await createCliEnvironment('invalid');
+	const exitCode = await cli.run(['validate'], io);
+	t.is(exitCode, cli.EXIT_CODES.VALIDATION_ERROR);
+	t.regex(output.stderr, /^ValidationReportError: /);
+	t.pass();
+});
+
+test('cli should exit with the template exit code for broken templates', async t => {
+	const { cwd, io, output } = await createCliEnvironment('template-error');
+	await writeFile(path.join(cwd, 'compiler.js'), 'module.exports = () => { throw new Error("Compile error"); };');
+	const exitCode = await cli.run(['build'], io);
+	t.is(exitCode, cli.EXIT_CODES.TEMPLATE_COMPILE_ERROR);
+	t.regex(output.stderr, /\[template\] atoms\/button: ".+" Compile error\n$/);
+	t.pass();
+});
+
+test('cli should build the healthy components with the continueOnError build option', async t => {
+	const { cwd, io, output } = await createCliEnvironment('valid');
+	await writeFile(path.join(cwd, 'compiler.js'), `module.exports = (tpl) => () => {
+		if (tpl === 'Broken') {
+			throw new Error('Broken template');
+		}
+		return tpl;
+	};`);
+	await writeFile(path.join(cwd, 'components', 'atoms', 'radio', '_example', 'mobile.hbs'), 'Broken');
+	await writeFile(path.join(cwd, 'frontify-deployer.config.json'), JSON.stringify({
+		rootDirectory: 'components',
+		targetDir: 'tmp',
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: './compiler.js',
+		buildOptions: { continueOnError: true },
+	}));
+	const exitCode = await cli.run(['build'], io);
+	const mobileTemplate = path.join(cwd, 'components', 'atoms', 'radio', '_example', 'mobile.hbs');
+	t.is(exitCode, cli.EXIT_CODES.SUCCESS);
+	t.is(output.stdout, `Built 1 components into "${path.join(cwd, 'tmp')}"\n` +
+		`  Skipped "atoms/radio": "${mobileTemplate}" Broken template\n`);
+	t.true(await fileExists(path.join(cwd, 'tmp', 'atoms', 'button', 'pattern.json')));
+	t.false(await fileExists(path.join(cwd, 'tmp', 'atoms', 'radio', 'pattern.json')));
+	t.pass();
+});
+
+test('cli should build and clean using cli overrides', async t => {
+	const { cwd, io } = await createCliEnvironment('valid');
+	const htmlFile = path.join(cwd, 'dist', 'atoms', 'button', 'example.html');
+	t.is(await cli.run(['build', '--target-dir', 'dist'], io), cli.EXIT_CODES.SUCCESS);
+	const existsAfterBuild = await fileExists(htmlFile);
+	t.is(await cli.run(['clean', '--target-dir', 'dist'], io), cli.EXIT_CODES.SUCCESS);
+	const existsAfterClean = await fileExists(htmlFile);
+	t.is(existsAfterBuild, true);
+	t.is(existsAfterClean, false);
+	t.pass();
+});
+
+test('cli should load a config file passed by --config', async t => {
+	const { cwd, io } = await createCliEnvironment('valid');
+	const config = cli.loadConfig({ 'config': 'frontify-deployer.config.json', 'frontify-options': { project: 1 } }, cwd);
+	t.is(config.rootDirectory, path.join(cwd, 'components'));
+	t.deepEqual(config.frontifyOptions, { project: 1 });
+	t.is(await cli.run(['validate', '--config', 'missing.json'], io), cli.EXIT_CODES.ERROR);
+	t.throws(() => cli.loadConfig({}, path.join(cwd, 'components')), /Please create a frontify-deployer.config.js/);
+	t.pass();
+});
+
+test('cli should print the deploy plan for a dry run', async t => {
+	const { io, output } = await createCliEnvironment('valid');
+	const exitCode = await cli.run(['deploy', '--dry-run'], io);
+	t.is(exitCode, cli.EXIT_CODES.SUCCESS);
+	t.is(JSON.parse(output.stdout).components.length, 2);
+	t.pass();
+});
+
+test('cli should print the diff against the published patterns', async t => {
+	const { cwd, io, output } = await createCliEnvironment('valid');
+	const config = {
+		rootDirectory: 'components',
+		targetDir: 'tmp',
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: './compiler.js',
+		syncTarget: { type: 'filesystem', directory: path.join(cwd, 'export') },
+	};
+	await writeFile(path.join(cwd, 'frontify-deployer.config.json'), JSON.stringify(config));
+	await writeFile(path.join(cwd, 'targets.config.json'), JSON.stringify(Object.assign({}, config, {
+		targets: [
+			{ name: 'brand-a' },
+			{ name: 'brand-b', exclude: 'atoms/button' },
+		],
+	})));
+	t.is(await cli.run(['diff'], io), cli.EXIT_CODES.SUCCESS);
+	t.is(output.stdout, '2 components changed:\n  + atoms/button\n  + atoms/radio\n');
+	t.is(await cli.run(['deploy'], io), cli.EXIT_CODES.SUCCESS);
+	output.stdout = '';
+	t.is(await cli.run(['diff'], io), cli.EXIT_CODES.SUCCESS);
+	t.is(await cli.run(['diff', '--config', 'targets.config.json'], io), cli.EXIT_CODES.SUCCESS);
+	t.is(output.stdout, [
+		'No changes',
+		'brand-a: No changes',
+		'brand-b: 1 component changed:',
+		'  - atoms/button',
+		'',
+	].join('\n'));
+	t.pass();
+});
+
+test.serial('cli should rebuild the changed components with --watch', async t => {
+	const { cwd, io, output } = await createCliEnvironment('valid');
+	// The cli keeps watching until the process ends - the watcher is captured to close it
+	const watch = chokidar.watch;
+	const watchers = [];
+	chokidar.watch = (...args) => {
+		const watcher = watch.apply(chokidar, args);
+		watchers.push(watcher);
+		return watcher;
+	};
+	const rebuild = new Promise((resolve) => {
+		io.stdout = {
+			write: (text) => {
+				output.stdout += text;
+				if (text.indexOf('Rebuilt') === 0) {
+					resolve();
+				}
+			},
+		};
+	});
+	let exitCode;
+	try {
+		exitCode = await cli.run(['build', '--watch'], io);
+	} finally {
+		chokidar.watch = watch;
+	}
+	await writeFile(path.join(cwd, 'components', 'atoms', 'button', '_example', 'example.hbs'), 'Watched Button');
+	await rebuild;
+	watchers.forEach((watcher) => watcher.close());
+	const renderedTemplate = await readFile(path.join(cwd, 'tmp', 'atoms', 'button', 'example.html'));
+	t.is(exitCode, cli.EXIT_CODES.SUCCESS);
+	t.is(output.stdout, `Built 2 components into "${path.join(cwd, 'tmp')}"\n` +
+		'Watching for changes...\nRebuilt atoms/button\n');
+	t.is(renderedTemplate.toString(), 'WATCHED BUTTON');
+	t.pass();
+});
+
+test('cli should deploy to the configured sync target', async t => {
+	const { cwd, io, output } = await createCliEnvironment('valid');
+	const requests = [];
+	const server = http.createServer((request, response) => {
+		let body = '';
+		request.on('data', (chunk) => { body += chunk; });
+		request.on('end', () => {
+			requests.push(JSON.parse(body).files.map((file) => file.name));
+			response.writeHead(200);
+			response.end();
+		});
+	});
+	await new Promise((resolve) => server.listen(0, resolve));
+	await writeFile(path.join(cwd, 'frontify-deployer.config.json'), JSON.stringify({
+		rootDirectory: 'components',
+		targetDir: 'tmp',
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: './compiler.js',
+		syncTarget: { type: 'http', url: `http://localhost:${server.address().port}/styleguide` },
+	}));
+	const exitCode = await cli.run(['deploy'], io);
+	server.close();
+	t.is(exitCode, cli.EXIT_CODES.SUCCESS);
+	t.regex(output.stdout, /^Deployed 2 patterns and \d+ assets\n$/);
+	t.true([].concat(...requests).indexOf('atoms/radio/pattern.json') !== -1);
+	t.pass();
+});
+
+test('cli should exit with the sync exit code and list the files which could not be synced', async t => {
+	const { cwd, io, output } = await createCliEnvironment('valid');
+	const server = http.createServer((request, response) => {
+		let body = '';
+		request.on('data', (chunk) => { body += chunk; });
+		request.on('end', () => {
+			const fileNames = JSON.parse(body).files.map((file) => file.name);
+			response.writeHead(fileNames.indexOf('atoms/radio/pattern.json') !== -1 ? 503 : 200);
+			response.end();
+		});
+	});
+	await new Promise((resolve) => server.listen(0, resolve));
+	const endpoint = `http://localhost:${server.address().port}/styleguide`;
+	await writeFile(path.join(cwd, 'frontify-deployer.config.json'), JSON.stringify({
+		rootDirectory: 'components',
+		targetDir: 'tmp',
+		mapping: {
+			atoms: 'atom',
+		},
+		compiler: './compiler.js',
+		syncTarget: { type: 'http', url: endpoint },
+		syncOptions: { batchSize: 1 },
+	}));
+	const exitCode = await cli.run(['deploy'], io);
+	server.close();
+	t.is(exitCode, cli.EXIT_CODES.SYNC_ERROR);
+	t.is(output.stdout, '');
+	t.is(output.stderr, `SyncError: "${endpoint}" responded with status 503\n` +
+		'  Failed to sync pattern "atoms/radio/pattern.json"\n');
+	t.pass();
+});
+
+test('cli should print the progress as json lines', async t => {
+	const { io, output } = await createCliEnvironment('valid');
+	const exitCode = await cli.run(['build', '--reporter', 'json'], io);
+	t.is(exitCode, cli.EXIT_CODES.SUCCESS);
+	const events = output.stderr.trim().split('\n').map((line) => JSON.parse(line));
+	t.deepEqual(events.filter((event) => event.event === 'example:compiled').map((event) => event.file).sort(), ['atoms/button/example.html', 'atoms/radio/desktop.html', 'atoms/radio/mobile.html']);
+	t.is(events.filter((event) => event.event === 'component:validated').length, 2);
+	t.true(events.every((event) => typeof event.time === 'string'));
+	t.pass();
+});
+
+test('cli should print the validation report', async t => {
+	const { cwd, io, output } = await createCliEnvironment('invalid');
+	const exitCode = await cli.run(['validate', '--report', 'json'], io);
+	t.is(exitCode, cli.EXIT_CODES.VALIDATION_ERROR);
+	t.deepEqual(JSON.parse(output.stdout).components, ['atoms/button']);
+	t.is(await cli.run(['validate', '--report', 'junit', '--report-file', 'report.xml'], io), cli.EXIT_CODES.VALIDATION_ERROR);
+	const junitReport = await readFile(path.join(cwd, 'report.xml'));
+	t.regex(junitReport.toString(), /<testsuite name="nitro-frontify-deployer validation" tests="1" failures="1">/);
+	t.regex(junitReport.toString(), /<failure type="examples" message="No examples found.">/);
+	t.is(await cli.run(['validate', '--report', 'xml'], io), cli.EXIT_CODES.ERROR);
+	t.pass();
+});
+
+test('cli should write the validation report of valid components', async t => {
+	const { cwd, io, output } = await createCliEnvironment('valid');
+	const exitCode = await cli.run(['validate', '--report', 'junit', '--report-file', 'report.xml'], io);
+	const junitReport = await readFile(path.join(cwd, 'report.xml'));
+	t.is(exitCode, cli.EXIT_CODES.SUCCESS);
+	t.is(output.stdout, 'All components are valid\n');
+	t.regex(junitReport.toString(), /<testcase classname="nitro-frontify-deployer" name="atoms\/radio"\/>/);
+	t.pass();
+});
+
+test('cli should print the usage', async t => {
+	const { io, output } = await createCliEnvironment('valid');
+	t.is(await cli.run(['--help'], io), cli.EXIT_CODES.SUCCESS);
+	t.is(await cli.run(['unknown'], io), cli.EXIT_CODES.ERROR);
+	t.regex(output.stdout, /^Usage:/);
+	t.regex(output.stderr, /^Usage:/);
 	t.pass();
 });
 